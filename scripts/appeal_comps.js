@@ -0,0 +1,140 @@
+"use strict";
+
+// Property tax appeal comp finder shared by index.html (as window.AppealComps)
+// and the tests. Comps are qualified county/MLS sales of similar homes from the
+// last year; tiering reuses the bid model's comp hierarchy.
+(function attachAppealComps(root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./bid_model"));
+  } else {
+    root.AppealComps = factory(root.BidModel);
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function appealCompsFactory(BidModel) {
+  const APPEAL_COMP_WINDOW_DAYS = 365;
+  const APPEAL_SQFT_TOLERANCE = 0.2;
+  const APPEAL_BEDS_TOLERANCE = 1;
+  const APPEAL_YEAR_TOLERANCE = 15;
+  const APPEAL_OVER_ASSESSED_PCT = 0.05;
+
+  function median(values) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  function quantile(values, q) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const pos = (sorted.length - 1) * q;
+    const base = Math.floor(pos);
+    const rest = pos - base;
+    if (sorted[base + 1] !== undefined) {
+      return sorted[base] + rest * (sorted[base + 1] - sorted[base]);
+    }
+    return sorted[base];
+  }
+
+  function roundToThousand(value) {
+    return Number.isFinite(value) ? Math.round(value / 1000) * 1000 : 0;
+  }
+
+  function localIso(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+  }
+
+  function normalizeForMatch(v) {
+    return String(v || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+  }
+
+  function parcelDigits(rowLike) {
+    return String(rowLike.parcelNbr || `${rowLike.major || ""}${rowLike.minor || ""}`).replace(/[^0-9]/g, "");
+  }
+
+  // A 10+ digit query is a parcel number; anything else matches an address
+  // exactly or as a prefix. Prefers rows with an assessed value, then the latest.
+  function findAppealSubject(query, normalizedRows) {
+    const raw = String(query || "").trim();
+    if (!raw) return null;
+    const digits = raw.replace(/[^0-9]/g, "");
+    const isParcel = digits.length >= 10 && !/[a-z]/i.test(raw.replace(/parcel/i, ""));
+    const key = normalizeForMatch(raw);
+    const matches = normalizedRows.filter((r) => {
+      if (isParcel) return parcelDigits(r) === digits;
+      const addr = normalizeForMatch(r.address);
+      return !!addr && (addr === key || addr.startsWith(`${key} `));
+    });
+    if (!matches.length) return null;
+    return matches
+      .slice()
+      .sort((a, b) => (Number(b.assessedValue > 0) - Number(a.assessedValue > 0))
+        || String(b.effectiveDate || "").localeCompare(String(a.effectiveDate || "")))[0];
+  }
+
+  function buildAppealCompPool(subject, normalizedRows, asOf = new Date()) {
+    const windowStart = new Date(asOf);
+    windowStart.setDate(windowStart.getDate() - APPEAL_COMP_WINDOW_DAYS);
+    const windowStartIso = localIso(windowStart);
+    const subjectParcel = parcelDigits(subject);
+    return normalizedRows
+      .filter((r) => r.hasActualClose && r.closePrice > 0 && r.saleDate >= windowStartIso)
+      .filter((r) => r.isQualifiedSale && !r.isMultiParcelSale && !r.isLikelyPresoldNewBuild)
+      .filter((r) => !subjectParcel || parcelDigits(r) !== subjectParcel)
+      .filter((r) => {
+        if (subject.sqft > 0 && (r.sqft <= 0 || Math.abs(r.sqft - subject.sqft) > subject.sqft * APPEAL_SQFT_TOLERANCE)) return false;
+        if (subject.beds > 0 && (r.beds <= 0 || Math.abs(r.beds - subject.beds) > APPEAL_BEDS_TOLERANCE)) return false;
+        if (subject.yearBuilt > 0 && (r.yearBuilt <= 0 || Math.abs(r.yearBuilt - subject.yearBuilt) > APPEAL_YEAR_TOLERANCE)) return false;
+        return true;
+      });
+  }
+
+  // Implied market value from the comps' median $/sqft (or median close price
+  // when the subject has no sqft), compared with the assessed value. With
+  // `options.marketIndex` (BidModel.buildMarketIndex), comp prices are moved to the
+  // `asOf` month first; each comp carries its `appealTimeFactor`.
+  function computeAppealEstimate(subject, normalizedRows, asOf = new Date(), options = {}) {
+    const tier = BidModel.computeBidCompTiers(subject, buildAppealCompPool(subject, normalizedRows, asOf));
+    const asOfIso = localIso(asOf);
+    const comps = tier.rows
+      .map((c) => ({ ...c, appealTimeFactor: BidModel.marketIndexFactor(options.marketIndex, c, asOfIso) }))
+      .sort((a, b) => String(b.saleDate || "").localeCompare(String(a.saleDate || "")));
+    const usePsf = subject.sqft > 0 && comps.some((c) => c.pricePerSqft > 0);
+    const values = usePsf
+      ? comps.filter((c) => c.pricePerSqft > 0).map((c) => c.pricePerSqft * c.appealTimeFactor * subject.sqft)
+      : comps.map((c) => c.closePrice * c.appealTimeFactor);
+    const sufficient = tier.tier !== "NONE" && comps.length >= BidModel.BID_MIN_COMPS;
+    const impliedValue = sufficient ? roundToThousand(median(values)) : 0;
+    const impliedLow = sufficient ? roundToThousand(quantile(values, 0.25)) : 0;
+    const impliedHigh = sufficient ? roundToThousand(quantile(values, 0.75)) : 0;
+    const assessed = subject.assessedValue;
+    const gap = impliedValue > 0 && assessed > 0 ? assessed - impliedValue : 0;
+    const gapPct = impliedValue > 0 && assessed > 0 ? gap / impliedValue : 0;
+    let verdict = "Insufficient comps";
+    if (sufficient && assessed <= 0) verdict = "No assessed value on record";
+    else if (sufficient && assessed > impliedHigh) verdict = "Appeal likely worth filing";
+    else if (sufficient && gapPct > APPEAL_OVER_ASSESSED_PCT) verdict = "Borderline: assessed above comp median";
+    else if (sufficient) verdict = "Assessment at or below market";
+    return {
+      subject,
+      tier: tier.tier,
+      comps,
+      method: usePsf ? "median comp $/sqft x subject sqft" : "median comp close price",
+      sufficient,
+      impliedValue,
+      impliedLow,
+      impliedHigh,
+      gap,
+      gapPct,
+      verdict,
+    };
+  }
+
+  return {
+    APPEAL_COMP_WINDOW_DAYS,
+    APPEAL_OVER_ASSESSED_PCT,
+    buildAppealCompPool,
+    computeAppealEstimate,
+    findAppealSubject,
+    parcelDigits,
+  };
+});
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { parseCsvText } = require("./csv_parser");
+const { LEGACY_ENRICHED_FILE, resolveManifestFile, writeManifestSection } = require("./data_manifest");
+const {
+  BID_STRATEGIES,
+  backtestBidModel,
+  bidStrategyFingerprint,
+  importBidStrategies,
+} = require("./bid_model");
+const { normalizeRow, rowsFromCsvRecords } = require("./row_normalize");
+
+const PROJECT_DIR = path.resolve(__dirname, "..");
+const INPUT_FILE = path.resolve(
+  process.argv[2] || process.env.BID_BACKTEST_INPUT || resolveManifestFile("mlsEnriched", LEGACY_ENRICHED_FILE),
+);
+const OUTPUT_FILE = path.resolve(process.env.BID_BACKTEST_FILE || path.join(PROJECT_DIR, "bid_backtest_report.json"));
+// Per-strategy confidence calibration loaded by the app.
+const CALIBRATION_FILE = path.resolve(process.env.BID_CALIBRATION_FILE || path.join(PROJECT_DIR, "bid_calibration.json"));
+// Optional strategy JSON exported from the app's Strategy Editor.
+const STRATEGIES_FILE = process.env.BID_BACKTEST_STRATEGIES ? path.resolve(process.env.BID_BACKTEST_STRATEGIES) : "";
+
+// Rows go through the app's normalizeRow, so comp tiers and filters line up.
+function readDatasetRows(file) {
+  return rowsFromCsvRecords(parseCsvText(fs.readFileSync(file, "utf8"))).map(normalizeRow);
+}
+
+function pct(v) {
+  return v === null ? "n/a" : `${(v * 100).toFixed(1)}%`;
+}
+
+function money(v) {
+  return v === null ? "n/a" : `$${Math.round(v).toLocaleString("en-US")}`;
+}
+
+function metricsLine(label, m) {
+  return `${label.padEnd(42)} n=${String(m.scored).padStart(5)}  MAE ${money(m.mae).padStart(10)}  med |err| ${pct(m.medianAbsPctError).padStart(6)}  range hit ${pct(m.rangeHitRate).padStart(6)}  bias ${pct(m.bias).padStart(6)}`;
+}
+
+function readStrategies(file) {
+  const strategies = Object.keys(BID_STRATEGIES);
+  if (!file) return strategies;
+  const { strategies: custom, errors } = importBidStrategies(JSON.parse(fs.readFileSync(file, "utf8")));
+  if (errors.length) throw new Error(`Invalid strategies in ${file}: ${errors.join(" ")}`);
+  return [...strategies, ...custom];
+}
+
+// The app matches entries by fingerprint, so a saved strategy is only calibrated
+// while its parameters are the ones that were backtested.
+function calibrationFile(result, strategies, generatedAt, input) {
+  const entries = {};
+  strategies.forEach((s) => {
+    const key = typeof s === "string" ? s : String(s.key || s.label);
+    const { label, calibration } = result.strategies[key];
+    entries[key] = { label, fingerprint: bidStrategyFingerprint(s), calibration };
+  });
+  return { generatedAt, input, subjects: result.subjects, strategies: entries };
+}
+
+function main() {
+  if (!fs.existsSync(INPUT_FILE)) throw new Error(`Dataset not found: ${INPUT_FILE}`);
+  const rows = readDatasetRows(INPUT_FILE);
+  const strategies = readStrategies(STRATEGIES_FILE);
+  const result = backtestBidModel(rows, { strategies });
+  const { samples, ...summary } = result;
+  const generatedAt = new Date().toISOString();
+  const input = path.basename(INPUT_FILE);
+  const report = {
+    generatedAt,
+    input,
+    scoredSamples: samples.filter((s) => s.scored).length,
+    ...summary,
+  };
+  fs.writeFileSync(OUTPUT_FILE, `${JSON.stringify(report, null, 2)}\n`);
+  fs.writeFileSync(CALIBRATION_FILE, `${JSON.stringify(calibrationFile(result, strategies, generatedAt, input))}\n`);
+  writeManifestSection("bidCalibration", {
+    generatedAt,
+    file: path.basename(CALIBRATION_FILE),
+    input,
+    strategies: strategies.length,
+  });
+
+  // eslint-disable-next-line no-console
+  console.log(`Backtested ${result.subjects} sold MLS rows from ${path.basename(INPUT_FILE)} (${result.skippedNoListDate} skipped without a list date)`);
+  Object.values(result.strategies).forEach((s) => {
+    // eslint-disable-next-line no-console
+    console.log(`\n${s.label}`);
+    // eslint-disable-next-line no-console
+    console.log(metricsLine("  All scored", s.overall));
+    s.byTier.forEach((t) => {
+      // eslint-disable-next-line no-console
+      console.log(metricsLine(`  ${t.key}`, t));
+    });
+    const cal = s.calibration;
+    if (!cal.bins.length) {
+      // eslint-disable-next-line no-console
+      console.log(`  Calibration: not fitted (${cal.sampleCount} scored samples)`);
+      return;
+    }
+    // eslint-disable-next-line no-console
+    console.log(`  Calibration (predicted vs observed range hit rate, ${cal.sampleCount} samples):`);
+    cal.bins.forEach((b) => {
+      // eslint-disable-next-line no-console
+      console.log(`    ${`${pct(b.low)}-${pct(b.high)}`.padEnd(16)} n=${String(b.count).padStart(5)}  predicted ${pct(b.predicted).padStart(6)}  observed ${pct(b.observed).padStart(6)}`);
+    });
+  });
+  // eslint-disable-next-line no-console
+  console.log(`\nReport (with per-neighborhood results): ${OUTPUT_FILE}`);
+  // eslint-disable-next-line no-console
+  console.log(`Confidence calibration for the app: ${CALIBRATION_FILE}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error(err.message || String(err));
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  calibrationFile,
+  readDatasetRows,
+};
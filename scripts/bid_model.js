@@ -0,0 +1,950 @@
+"use strict";
+
+// Active-listing bid model shared by index.html (as window.BidModel) and the
+// Node backtest command. Rows are the app's normalized rows: neighborhoodLabel,
+// typeLabel, zip, saleDate, pendingListPrice, saleToList and the MLS DOM fields;
+// similarity comps and the hedonic fair value also read coordinates and home attributes.
+(function attachBidModel(root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  } else {
+    root.BidModel = api;
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function bidModelFactory() {
+  const BID_COMP_WINDOW_DAYS = 90;
+  const BID_HALFLIFE_DAYS = 30;
+  const BID_MIN_COMPS = 6;
+  const BID_RATIO_MIN = 0.9;
+  const BID_RATIO_MAX = 1.25;
+  const BID_CALIBRATION_MIN_SAMPLES = 50;
+  const BID_CALIBRATION_L2 = 1;
+  const BID_CALIBRATION_BINS = 10;
+  const BID_STRATEGIES = {
+    conservative: { point: 0.5, low: 0.4, high: 0.6, label: "Conservative" },
+    balanced: { point: 0.6, low: 0.5, high: 0.7, label: "Balanced" },
+    aggressive: { point: 0.7, low: 0.6, high: 0.8, label: "Aggressive" },
+  };
+  // Every strategy parameter besides the quantiles; built-in strategies use these.
+  // Heat adjustments are added to the sale/list ratios before clamping.
+  const BID_MODEL_DEFAULTS = {
+    compWindowDays: BID_COMP_WINDOW_DAYS,
+    halfLifeDays: BID_HALFLIFE_DAYS,
+    minComps: BID_MIN_COMPS,
+    ratioMin: BID_RATIO_MIN,
+    ratioMax: BID_RATIO_MAX,
+    ultraHotAdj: 0.01,
+    hotAdj: 0.005,
+    staleDomDays: 30,
+    staleAdj: -0.005,
+    knnK: 12,
+  };
+  // Attribute-similarity comps: each difference is divided by its scale, squared
+  // and weighted; similarity = exp(-weighted mean). A side missing an attribute
+  // counts as one scale apart. Recency is scaled by the strategy's half-life.
+  const BID_SIMILARITY_SCALES = { distanceMiles: 1, sqftLog: 0.25, beds: 1, baths: 1, lotLog: 0.5, yearBuilt: 20 };
+  const BID_SIMILARITY_WEIGHTS = { distance: 3, sqft: 3, beds: 1.5, baths: 1, lot: 1, yearBuilt: 1, recency: 1.5 };
+  const BID_SIMILARITY_MIN = 0.2;
+  // Haversine radii tried around a subject with coordinates, before the neighborhood tier.
+  const BID_RADIUS_TIERS_MILES = [0.25, 0.5, 1];
+  // Hedonic fair value: ridge regressions of log close price on home attributes,
+  // one per type Seattle-wide and one per neighborhood + type shrunk toward it.
+  const HEDONIC_WINDOW_DAYS = 730;
+  const HEDONIC_MIN_SAMPLES = 20;
+  const HEDONIC_CITY_L2 = 1;
+  const HEDONIC_NEIGHBORHOOD_L2 = 20;
+  // Market index: trailing three-month median sale $/sqft per neighborhood + type
+  // and per type Seattle-wide, used to move comp prices to the bid's month.
+  const MARKET_INDEX_TRAILING_MONTHS = 3;
+  const MARKET_INDEX_MIN_SALES = 8;
+  const MARKET_INDEX_MAX_ADJ = 0.15;
+  const HEDONIC_FEATURES = [
+    "intercept", "logSqft", "logLot", "lotMissing", "beds", "baths",
+    "yearBuilt", "yearMissing", "view", "condition", "saleYears",
+  ];
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function clamp(v, lo, hi) {
+    return Math.max(lo, Math.min(hi, v));
+  }
+
+  function median(values) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  function quantile(values, q) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const pos = (sorted.length - 1) * q;
+    const base = Math.floor(pos);
+    const rest = pos - base;
+    if (sorted[base + 1] !== undefined) return sorted[base] + rest * (sorted[base + 1] - sorted[base]);
+    return sorted[base];
+  }
+
+  function roundToNearest(value, step = 1000) {
+    if (!Number.isFinite(value)) return 0;
+    const s = Math.max(1, Number(step || 1));
+    return Math.round(value / s) * s;
+  }
+
+  function todayIso(now = new Date()) {
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`;
+  }
+
+  // Whole days from one YYYY-MM-DD date to another, or null.
+  function isoDaysBetween(fromIso, toIso) {
+    const from = Date.parse(String(fromIso || "").slice(0, 10));
+    const to = Date.parse(String(toIso || "").slice(0, 10));
+    if (!Number.isFinite(from) || !Number.isFinite(to)) return null;
+    return Math.round((to - from) / DAY_MS);
+  }
+
+  function isoAddDays(iso, days) {
+    const t = Date.parse(String(iso || "").slice(0, 10));
+    if (!Number.isFinite(t)) return "";
+    return new Date(t + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  function zip5(zip) {
+    return (String(zip || "").match(/[0-9]{5}/) || [])[0] || "";
+  }
+
+  function hasCoord(row) {
+    return Number.isFinite(row.lat) && Number.isFinite(row.lon) && row.lat !== 0 && row.lon !== 0;
+  }
+
+  function haversineMiles(a, b) {
+    const toRad = (d) => (d * Math.PI) / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLon = toRad(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 3958.8 * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  // Market time in days: CDOM, then DOM, then list-to-pending days for MLS rows.
+  function marketDom(row) {
+    if (row.hasMlsCdomValue && Number.isFinite(row.mlsCDOM) && row.mlsCDOM >= 0) return row.mlsCDOM;
+    if (row.hasMlsDomValue && Number.isFinite(row.mlsDOM) && row.mlsDOM >= 0) return row.mlsDOM;
+    if (row.dataMode === "MLS_ENRICHED" && row.daysToPending !== null && Number.isFinite(row.daysToPending) && row.daysToPending >= 0) return row.daysToPending;
+    return null;
+  }
+
+  function bidConfidenceLabel(score) {
+    if (!Number.isFinite(score) || score <= 0) return "N/A";
+    if (score >= 75) return "High";
+    if (score >= 55) return "Medium";
+    return "Low";
+  }
+
+  function weightedQuantile(values, weights, q) {
+    if (!values.length) return 0;
+    const pairs = values.map((v, i) => ({
+      v: Number(v || 0),
+      w: Number(weights[i] || 0),
+    })).filter((p) => Number.isFinite(p.v) && Number.isFinite(p.w) && p.w > 0);
+    if (!pairs.length) return quantile(values, q);
+    pairs.sort((a, b) => a.v - b.v);
+    const total = pairs.reduce((sum, p) => sum + p.w, 0);
+    const target = total * clamp(q, 0, 1);
+    let acc = 0;
+    for (let i = 0; i < pairs.length; i += 1) {
+      acc += pairs[i].w;
+      if (acc >= target) return pairs[i].v;
+    }
+    return pairs[pairs.length - 1].v;
+  }
+
+  function radiusTierKey(miles) {
+    return `R${String(Math.round(miles * 100)).padStart(3, "0")}_RADIUS_TYPE`;
+  }
+
+  function isRadiusTier(tier) {
+    return /^R\d{3}_RADIUS_TYPE$/.test(String(tier || ""));
+  }
+
+  function computeBidCompTiers(targetRow, compPool, minComps = BID_MIN_COMPS) {
+    const zip = zip5(targetRow.zip);
+    const byType = compPool.filter((c) => c.typeLabel === targetRow.typeLabel);
+    if (hasCoord(targetRow)) {
+      const located = byType
+        .filter(hasCoord)
+        .map((c) => ({ row: c, miles: haversineMiles(targetRow, c) }));
+      for (let i = 0; i < BID_RADIUS_TIERS_MILES.length; i += 1) {
+        const miles = BID_RADIUS_TIERS_MILES[i];
+        const rows = located.filter((c) => c.miles <= miles).map((c) => c.row);
+        if (rows.length >= minComps) return { tier: radiusTierKey(miles), rows, radiusMiles: miles };
+      }
+    }
+    const tier1 = byType.filter((c) => c.neighborhoodLabel === targetRow.neighborhoodLabel);
+    if (tier1.length >= minComps) return { tier: "T1_NEIGHBORHOOD_TYPE", rows: tier1 };
+    const tier2 = byType.filter((c) => zip && zip5(c.zip) === zip);
+    if (tier2.length >= minComps) return { tier: "T2_ZIP_TYPE", rows: tier2 };
+    if (byType.length >= minComps) return { tier: "T3_CITY_TYPE", rows: byType };
+    return { tier: "NONE", rows: byType };
+  }
+
+  // 0-1 similarity of a sold comp to the target; see BID_SIMILARITY_SCALES.
+  function compSimilarity(target, comp, options = {}) {
+    const halfLifeDays = options.halfLifeDays || BID_HALFLIFE_DAYS;
+    const terms = [];
+    const add = (weight, z) => terms.push([weight, z === null ? 1 : z]);
+    const positive = (v) => Number.isFinite(v) && v > 0;
+    add(BID_SIMILARITY_WEIGHTS.distance, hasCoord(target) && hasCoord(comp)
+      ? haversineMiles(target, comp) / BID_SIMILARITY_SCALES.distanceMiles
+      : null);
+    add(BID_SIMILARITY_WEIGHTS.sqft, positive(target.sqft) && positive(comp.sqft)
+      ? Math.log(target.sqft / comp.sqft) / BID_SIMILARITY_SCALES.sqftLog
+      : null);
+    add(BID_SIMILARITY_WEIGHTS.beds, positive(target.beds) && positive(comp.beds)
+      ? (target.beds - comp.beds) / BID_SIMILARITY_SCALES.beds
+      : null);
+    add(BID_SIMILARITY_WEIGHTS.baths, positive(target.baths) && positive(comp.baths)
+      ? (target.baths - comp.baths) / BID_SIMILARITY_SCALES.baths
+      : null);
+    add(BID_SIMILARITY_WEIGHTS.lot, positive(target.lotSize) && positive(comp.lotSize)
+      ? Math.log(target.lotSize / comp.lotSize) / BID_SIMILARITY_SCALES.lotLog
+      : null);
+    add(BID_SIMILARITY_WEIGHTS.yearBuilt, positive(target.yearBuilt) && positive(comp.yearBuilt)
+      ? (target.yearBuilt - comp.yearBuilt) / BID_SIMILARITY_SCALES.yearBuilt
+      : null);
+    const age = isoDaysBetween(comp.saleDate, options.asOf || todayIso());
+    add(BID_SIMILARITY_WEIGHTS.recency, age === null ? null : Math.max(0, age) / halfLifeDays);
+    const totalWeight = terms.reduce((sum, [w]) => sum + w, 0);
+    const distance = terms.reduce((sum, [w, z]) => sum + w * z * z, 0) / totalWeight;
+    return Math.exp(-distance);
+  }
+
+  // Top-K same-type comps by similarity, each copied with `bidSimilarity`. Returns
+  // null when the target has neither coordinates nor sqft, or fewer than
+  // `options.minComps` candidates clear BID_SIMILARITY_MIN.
+  function selectSimilarComps(target, compPool, options = {}) {
+    const k = options.k === undefined ? BID_MODEL_DEFAULTS.knnK : options.k;
+    const minComps = options.minComps || BID_MIN_COMPS;
+    if (!(k > 0) || (!hasCoord(target) && !(target.sqft > 0))) return null;
+    const ranked = compPool
+      .filter((c) => c.typeLabel === target.typeLabel)
+      .map((c) => ({ ...c, bidSimilarity: compSimilarity(target, c, options) }))
+      .filter((c) => c.bidSimilarity >= BID_SIMILARITY_MIN)
+      .sort((a, b) => b.bidSimilarity - a.bidSimilarity)
+      .slice(0, k);
+    return ranked.length >= minComps ? ranked : null;
+  }
+
+  // Sold MLS rows that can serve as bid comps, before any date window or filter.
+  function isBidCompRow(r) {
+    return r.dataMode === "MLS_ENRICHED" && r.hasActualClose && r.pendingListPrice > 0 && r.saleToList > 0
+      && !r.isLikelyPresoldNewBuild && r.isQualifiedSale;
+  }
+
+  // A built-in strategy key, or a strategy object (label, quantiles and any
+  // BID_MODEL_DEFAULTS overrides), resolved to the full parameter set.
+  function resolveBidStrategy(strategy) {
+    const base = strategy && typeof strategy === "object"
+      ? strategy
+      : (BID_STRATEGIES[strategy] || BID_STRATEGIES.balanced);
+    return { ...BID_MODEL_DEFAULTS, ...base, label: String(base.label || "Custom") };
+  }
+
+  // The resolved parameters that drive a strategy's bids, in a fixed order. The
+  // label is left out, so a renamed strategy still matches a stored calibration.
+  function bidStrategyFingerprint(strategy) {
+    const params = resolveBidStrategy(strategy);
+    return JSON.stringify(["low", "point", "high", ...Object.keys(BID_MODEL_DEFAULTS)].map((key) => params[key]));
+  }
+
+  // Checks a user-supplied strategy (editor form or imported JSON). Missing
+  // parameters take the defaults; returns the cleaned strategy and any errors.
+  function validateBidStrategy(raw) {
+    const errors = [];
+    const input = raw && typeof raw === "object" ? raw : {};
+    const label = String(input.label || "").trim();
+    if (!label) errors.push("Name is required.");
+    if (label.length > 40) errors.push("Name must be 40 characters or fewer.");
+    const read = (key, fallback) => {
+      const v = input[key] === undefined || input[key] === "" ? fallback : Number(input[key]);
+      if (!Number.isFinite(v)) errors.push(`${key} must be a number.`);
+      return v;
+    };
+    const strategy = { label };
+    ["low", "point", "high"].forEach((key) => {
+      strategy[key] = read(key, BID_STRATEGIES.balanced[key]);
+      if (strategy[key] < 0 || strategy[key] > 1) errors.push(`${key} quantile must be between 0 and 1.`);
+    });
+    Object.keys(BID_MODEL_DEFAULTS).forEach((key) => {
+      strategy[key] = read(key, BID_MODEL_DEFAULTS[key]);
+    });
+    if (!(strategy.low <= strategy.point && strategy.point <= strategy.high)) errors.push("Quantiles must satisfy low <= point <= high.");
+    if (!Number.isInteger(strategy.compWindowDays) || strategy.compWindowDays < 7 || strategy.compWindowDays > 730) errors.push("Comp window must be 7-730 whole days.");
+    if (!(strategy.halfLifeDays > 0 && strategy.halfLifeDays <= 365)) errors.push("Recency half-life must be above 0 and at most 365 days.");
+    if (!Number.isInteger(strategy.minComps) || strategy.minComps < 1 || strategy.minComps > 100) errors.push("Minimum comps must be 1-100.");
+    if (!(strategy.ratioMin > 0 && strategy.ratioMin < strategy.ratioMax && strategy.ratioMax <= 3)) errors.push("Ratio clamps must satisfy 0 < min < max <= 3.");
+    ["ultraHotAdj", "hotAdj", "staleAdj"].forEach((key) => {
+      if (Math.abs(strategy[key]) > 0.2) errors.push(`${key} must be between -0.2 and 0.2.`);
+    });
+    if (!Number.isInteger(strategy.staleDomDays) || strategy.staleDomDays < 0) errors.push("Stale DOM threshold must be a whole number of days.");
+    if (!Number.isInteger(strategy.knnK) || strategy.knnK < 0 || strategy.knnK > 50) errors.push("Similar comps (K) must be 0-50.");
+    return { strategy, errors };
+  }
+
+  function customBidStrategyKey(label) {
+    const slug = String(label || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+    return `custom-${slug || "strategy"}`;
+  }
+
+  // Reads an exported strategy file: `{ strategies: [...] }`, a bare array or one
+  // strategy. Invalid entries are reported and skipped.
+  function importBidStrategies(data) {
+    const list = Array.isArray(data) ? data : (data && Array.isArray(data.strategies) ? data.strategies : [data]);
+    const strategies = [];
+    const errors = [];
+    list.forEach((raw, i) => {
+      const { strategy, errors: entryErrors } = validateBidStrategy(raw);
+      if (entryErrors.length) {
+        errors.push(`Strategy ${i + 1}${strategy.label ? ` (${strategy.label})` : ""}: ${entryErrors.join(" ")}`);
+        return;
+      }
+      strategies.push({ key: customBidStrategyKey(strategy.label), ...strategy });
+    });
+    return { strategies, errors };
+  }
+
+  // `options.asOf` (YYYY-MM-DD, default today) is the date comp ages are measured from.
+  // The caller windows `compPool` to the strategy's compWindowDays. Comp sale/list
+  // ratios are used as-is: close and list moved with the market together. With
+  // `options.includeCompRows`, up to `options.compRowLimit` (default 12) comps are
+  // returned with `bidTimeFactor` and `bidAdjustedPricePerSqft`, their $/sqft moved
+  // to the `asOf` month by `options.marketIndex` (buildMarketIndex).
+  function scoreBid(row, compPool, strategy = "balanced", options = {}) {
+    const asOf = options.asOf || todayIso();
+    const includeCompRows = !!options.includeCompRows;
+    const compRowLimit = options.compRowLimit || 12;
+    const timeFactors = new Map();
+    const timeFactor = (c) => {
+      if (!timeFactors.has(c)) timeFactors.set(c, marketIndexFactor(options.marketIndex, c, asOf));
+      return timeFactors.get(c);
+    };
+    const compRowsOut = (rows) => (includeCompRows
+      ? rows.slice(0, compRowLimit).map((c) => ({
+        ...c,
+        bidTimeFactor: timeFactor(c),
+        bidAdjustedPricePerSqft: c.pricePerSqft > 0 ? c.pricePerSqft * timeFactor(c) : 0,
+      }))
+      : []);
+    const strat = resolveBidStrategy(strategy);
+    const similar = selectSimilarComps(row, compPool, {
+      k: strat.knnK,
+      minComps: strat.minComps,
+      halfLifeDays: strat.halfLifeDays,
+      asOf,
+    });
+    const tier = similar
+      ? { tier: "KNN_SIMILAR", rows: similar }
+      : computeBidCompTiers(row, compPool, strat.minComps);
+    const compRows = tier.rows;
+    const compRowsSorted = similar
+      ? compRows
+      : compRows.slice().sort((a, b) => String(b.saleDate || "").localeCompare(String(a.saleDate || "")));
+    if (tier.tier === "NONE" || compRows.length < strat.minComps) {
+      return {
+        ...row,
+        bidStrategy: strat.label,
+        bidSuggested: 0,
+        bidLow: 0,
+        bidHigh: 0,
+        bidRatio: 0,
+        bidConfidence: 0,
+        bidConfidenceLabel: "N/A",
+        bidCompCount: compRows.length,
+        bidCompTier: "NONE",
+        bidCompRadiusMiles: null,
+        bidCompMedianAgeDays: null,
+        bidRatioSpread: null,
+        bidCompSimilarity: null,
+        bidHitProbability: null,
+        bidStatus: "InsufficientComps",
+        bidCompRows: compRowsOut(compRowsSorted),
+      };
+    }
+
+    const compAge = (c) => {
+      const d = isoDaysBetween(c.saleDate, asOf);
+      return d === null ? null : Math.max(0, d);
+    };
+    const ratios = compRows.map((c) => c.saleToList);
+    const recencies = compRows.map(compAge).filter((d) => d !== null);
+    // Similarity already discounts older sales, so kNN comps are weighted by it alone.
+    const weights = compRows.map((c) => {
+      if (similar) return c.bidSimilarity;
+      const d = compAge(c);
+      const age = d === null ? strat.compWindowDays : d;
+      return Math.pow(0.5, age / strat.halfLifeDays);
+    });
+
+    let pointRatio = weightedQuantile(ratios, weights, strat.point);
+    let lowRatio = weightedQuantile(ratios, weights, strat.low);
+    let highRatio = weightedQuantile(ratios, weights, strat.high);
+
+    let heatAdj = 0;
+    if (row.isUltraHot) heatAdj += strat.ultraHotAdj;
+    else if (row.isHotMarket) heatAdj += strat.hotAdj;
+    const dom = marketDom(row);
+    if (dom !== null && dom >= strat.staleDomDays) heatAdj += strat.staleAdj;
+
+    pointRatio = clamp(pointRatio + heatAdj, strat.ratioMin, strat.ratioMax);
+    lowRatio = clamp(lowRatio + heatAdj, strat.ratioMin, strat.ratioMax);
+    highRatio = clamp(highRatio + heatAdj, strat.ratioMin, strat.ratioMax);
+
+    if (lowRatio > pointRatio) lowRatio = pointRatio;
+    if (highRatio < pointRatio) highRatio = pointRatio;
+
+    const suggestedBid = roundToNearest(row.pendingListPrice * pointRatio, 1000);
+    const bidLow = roundToNearest(row.pendingListPrice * lowRatio, 1000);
+    const bidHigh = roundToNearest(row.pendingListPrice * highRatio, 1000);
+    const bidRatio = row.pendingListPrice > 0 ? (suggestedBid / row.pendingListPrice) : 0;
+
+    const meanSimilarity = similar ? similar.reduce((sum, c) => sum + c.bidSimilarity, 0) / similar.length : null;
+    const countScore = clamp((compRows.length / 20) * 45, 0, 45);
+    let tierScore = 15;
+    if (similar) tierScore = 15 + 20 * meanSimilarity;
+    else if (tier.radiusMiles || tier.tier === "T1_NEIGHBORHOOD_TYPE") tierScore = 35;
+    else if (tier.tier === "T2_ZIP_TYPE") tierScore = 25;
+    const medianRecency = recencies.length ? median(recencies) : strat.compWindowDays;
+    const recencyScore = clamp((1 - (medianRecency / strat.compWindowDays)) * 20, 0, 20);
+    const bidConfidence = Math.round(clamp(countScore + tierScore + recencyScore, 0, 100));
+
+    return {
+      ...row,
+      bidStrategy: strat.label,
+      bidSuggested: suggestedBid,
+      bidLow,
+      bidHigh,
+      bidRatio,
+      bidConfidence,
+      bidConfidenceLabel: bidConfidenceLabel(bidConfidence),
+      bidCompCount: compRows.length,
+      bidCompTier: tier.tier,
+      bidCompRadiusMiles: tier.radiusMiles || null,
+      bidCompMedianAgeDays: medianRecency,
+      bidRatioSpread: quantile(ratios, 0.75) - quantile(ratios, 0.25),
+      bidCompSimilarity: meanSimilarity,
+      bidHitProbability: null,
+      bidStatus: "SCored",
+      bidCompRows: compRowsOut(compRowsSorted),
+    };
+  }
+
+  // The sold row as it looked on its list date: asking the original list price,
+  // with no market time yet, so DOM-based heat adjustments do not leak the outcome.
+  function asOfListDate(row) {
+    return {
+      ...row,
+      pendingListPrice: row.originalListPrice > 0 ? row.originalListPrice : row.pendingListPrice,
+      mlsDOM: 0,
+      mlsCDOM: 0,
+      hasMlsDomValue: false,
+      hasMlsCdomValue: false,
+      daysToPending: null,
+      isHotMarket: false,
+      isUltraHot: false,
+    };
+  }
+
+  function summarizeBacktestSamples(samples) {
+    const scored = samples.filter((s) => s.scored);
+    if (!scored.length) {
+      return { count: samples.length, scored: 0, mae: null, medianAbsPctError: null, rangeHitRate: null, bias: null };
+    }
+    const errors = scored.map((s) => s.bidSuggested - s.closePrice);
+    const pctErrors = scored.map((s) => (s.bidSuggested - s.closePrice) / s.closePrice);
+    return {
+      count: samples.length,
+      scored: scored.length,
+      mae: errors.reduce((a, e) => a + Math.abs(e), 0) / scored.length,
+      medianAbsPctError: median(pctErrors.map((e) => Math.abs(e))),
+      rangeHitRate: scored.filter((s) => s.closePrice >= s.bidLow && s.closePrice <= s.bidHigh).length / scored.length,
+      bias: pctErrors.reduce((a, e) => a + e, 0) / scored.length,
+    };
+  }
+
+  function groupBacktestSamples(samples, keyFn) {
+    const groups = new Map();
+    samples.forEach((s) => {
+      const key = keyFn(s);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(s);
+    });
+    return [...groups.entries()]
+      .map(([key, set]) => ({ key, ...summarizeBacktestSamples(set) }))
+      .sort((a, b) => (b.scored - a.scored) || String(a.key).localeCompare(String(b.key)));
+  }
+
+  // Inputs to the calibration model: comp tier (and mean similarity for kNN comps),
+  // log comp count, median comp age as a share of the window, and the comps'
+  // sale/list interquartile spread.
+  function calibrationFeatures(tier, compCount, medianAgeDays, ratioSpread, similarity) {
+    return [
+      1,
+      tier === "T1_NEIGHBORHOOD_TYPE" ? 1 : 0,
+      tier === "T2_ZIP_TYPE" ? 1 : 0,
+      tier === "KNN_SIMILAR" ? 1 : 0,
+      tier === "KNN_SIMILAR" && Number.isFinite(similarity) ? similarity : 0,
+      isRadiusTier(tier) ? 1 : 0,
+      Math.log(Math.max(1, compCount || 0)),
+      Number.isFinite(medianAgeDays) ? medianAgeDays / BID_COMP_WINDOW_DAYS : 1,
+      Number.isFinite(ratioSpread) ? ratioSpread * 10 : 0,
+    ];
+  }
+
+  function sigmoid(z) {
+    return 1 / (1 + Math.exp(-clamp(z, -30, 30)));
+  }
+
+  function dot(a, b) {
+    return a.reduce((sum, v, i) => sum + v * b[i], 0);
+  }
+
+  // Gaussian elimination with partial pivoting; returns null for a singular system.
+  function solveLinear(matrix, vector) {
+    const n = vector.length;
+    const m = matrix.map((row, i) => [...row, vector[i]]);
+    for (let col = 0; col < n; col += 1) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r += 1) {
+        if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+      }
+      if (Math.abs(m[pivot][col]) < 1e-12) return null;
+      [m[col], m[pivot]] = [m[pivot], m[col]];
+      for (let r = col + 1; r < n; r += 1) {
+        const f = m[r][col] / m[col][col];
+        for (let c = col; c <= n; c += 1) m[r][c] -= f * m[col][c];
+      }
+    }
+    const out = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r -= 1) {
+      let sum = m[r][n];
+      for (let c = r + 1; c < n; c += 1) sum -= m[r][c] * out[c];
+      out[r] = sum / m[r][r];
+    }
+    return out;
+  }
+
+  // L2-regularized logistic regression (Newton steps); the intercept is not penalized.
+  function fitLogistic(features, outcomes, l2) {
+    const k = features[0].length;
+    let w = new Array(k).fill(0);
+    for (let iter = 0; iter < 50; iter += 1) {
+      const grad = w.map((wj, j) => (j ? -l2 * wj : 0));
+      const hess = Array.from({ length: k }, (_, i) => Array.from({ length: k }, (__, j) => (i === j && i ? l2 : 0)));
+      features.forEach((x, n) => {
+        const p = sigmoid(dot(w, x));
+        const v = p * (1 - p);
+        for (let i = 0; i < k; i += 1) {
+          grad[i] += (outcomes[n] - p) * x[i];
+          for (let j = 0; j < k; j += 1) hess[i][j] += v * x[i] * x[j];
+        }
+      });
+      const step = solveLinear(hess, grad);
+      if (!step) break;
+      w = w.map((wj, j) => wj + step[j]);
+      if (Math.max(...step.map((d) => Math.abs(d))) < 1e-8) break;
+    }
+    return w;
+  }
+
+  // Equal-count bins of predicted probability vs the observed share of closes
+  // that landed inside [bidLow, bidHigh].
+  function reliabilityBins(predicted, outcomes, binCount) {
+    const order = predicted.map((p, i) => i).sort((a, b) => predicted[a] - predicted[b]);
+    const bins = [];
+    const size = order.length / Math.min(binCount, order.length);
+    for (let b = 0; b * size < order.length - 1e-9; b += 1) {
+      const idx = order.slice(Math.round(b * size), Math.round((b + 1) * size));
+      if (!idx.length) continue;
+      bins.push({
+        count: idx.length,
+        predicted: idx.reduce((sum, i) => sum + predicted[i], 0) / idx.length,
+        observed: idx.reduce((sum, i) => sum + outcomes[i], 0) / idx.length,
+        low: predicted[idx[0]],
+        high: predicted[idx[idx.length - 1]],
+      });
+    }
+    return bins;
+  }
+
+  // Fits P(close inside the bid range) from scored backtest samples of one strategy.
+  // Labels split the fitted probabilities into thirds: High is the top third of
+  // historical bids, Low the bottom third.
+  function fitBidCalibration(samples, options = {}) {
+    const minSamples = options.minSamples || BID_CALIBRATION_MIN_SAMPLES;
+    const scored = samples.filter((s) => s.scored && s.closePrice > 0);
+    const outcomes = scored.map((s) => (s.closePrice >= s.bidLow && s.closePrice <= s.bidHigh ? 1 : 0));
+    const hits = outcomes.reduce((a, v) => a + v, 0);
+    const base = {
+      sampleCount: scored.length,
+      hitRate: scored.length ? hits / scored.length : null,
+    };
+    if (scored.length < minSamples || hits === 0 || hits === scored.length) {
+      return { ...base, status: "InsufficientSamples", coefficients: null, highCutoff: null, mediumCutoff: null, bins: [] };
+    }
+    const features = scored.map((s) => calibrationFeatures(s.tier, s.bidCompCount, s.bidCompMedianAgeDays, s.bidRatioSpread, s.bidCompSimilarity));
+    const coefficients = fitLogistic(features, outcomes, options.l2 ?? BID_CALIBRATION_L2);
+    const predicted = features.map((x) => sigmoid(dot(coefficients, x)));
+    return {
+      ...base,
+      status: "Calibrated",
+      coefficients,
+      highCutoff: quantile(predicted, 2 / 3),
+      mediumCutoff: quantile(predicted, 1 / 3),
+      bins: reliabilityBins(predicted, outcomes, options.bins || BID_CALIBRATION_BINS),
+    };
+  }
+
+  function calibratedHitProbability(bid, calibration) {
+    if (!calibration || !calibration.coefficients || bid.bidStatus !== "SCored") return null;
+    const x = calibrationFeatures(bid.bidCompTier, bid.bidCompCount, bid.bidCompMedianAgeDays, bid.bidRatioSpread, bid.bidCompSimilarity);
+    return sigmoid(dot(calibration.coefficients, x));
+  }
+
+  // Replaces the heuristic confidence with the calibrated probability (0-100) when
+  // a fit is available; otherwise the bid keeps its heuristic score.
+  function applyBidCalibration(bid, calibration) {
+    const p = calibratedHitProbability(bid, calibration);
+    if (p === null) return bid;
+    let label = "Low";
+    if (p >= calibration.highCutoff) label = "High";
+    else if (p >= calibration.mediumCutoff) label = "Medium";
+    return {
+      ...bid,
+      bidHitProbability: p,
+      bidConfidence: Math.round(p * 100),
+      bidConfidenceLabel: label,
+    };
+  }
+
+  function monthIndex(iso) {
+    const [y, m] = String(iso || "").slice(0, 7).split("-").map(Number);
+    return y * 12 + m - 1;
+  }
+
+  function hedonicViewFlag(view) {
+    const v = String(view || "").trim();
+    return v && !/^(none|no|n\/a)$/i.test(v) ? 1 : 0;
+  }
+
+  // MLS building condition as -1 (fair or worse), 0 (average or unknown), 1 (good)
+  // or 2 (very good, excellent or remodeled).
+  function hedonicConditionScore(condition) {
+    const c = String(condition || "");
+    if (/fixer|needs? work|poor|tlc|fair/i.test(c)) return -1;
+    if (/excellent|very good|remodel|restored/i.test(c)) return 2;
+    if (/good/i.test(c)) return 1;
+    return 0;
+  }
+
+  // One value per HEDONIC_FEATURES entry. Sale month enters as years before
+  // `asOf`, so a prediction for a listing prices it at the `asOf` market.
+  function hedonicFeatures(row, asOf) {
+    const lot = Number(row.lotSize) || 0;
+    const year = Number(row.yearBuilt) || 0;
+    return [
+      1,
+      Math.log(row.sqft / 1500),
+      lot > 0 ? Math.log(lot / 5000) : 0,
+      lot > 0 ? 0 : 1,
+      (Number(row.beds) || 3) - 3,
+      (Number(row.baths) || 2) - 2,
+      year > 0 ? (year - 1960) / 50 : 0,
+      year > 0 ? 0 : 1,
+      hedonicViewFlag(row.mlsView),
+      hedonicConditionScore(row.mlsBuildingCondition),
+      (monthIndex(row.saleDate || asOf) - monthIndex(asOf)) / 12,
+    ];
+  }
+
+  // Qualified closed sales with sqft: the hedonic fit and market index samples.
+  function isSqftSale(r) {
+    return r.hasActualClose && r.closePrice > 0 && r.sqft > 0 && !!r.saleDate
+      && r.isQualifiedSale !== false && !r.isProjectionRow;
+  }
+
+  // Ridge regression pulling every coefficient but the intercept toward `prior`
+  // (zero when omitted).
+  function fitRidge(features, targets, l2, prior = null) {
+    const k = features[0].length;
+    const xtx = Array.from({ length: k }, (_, i) => Array.from({ length: k }, (__, j) => (i === j && i ? l2 : 0)));
+    const xty = new Array(k).fill(0).map((_, i) => (i && prior ? l2 * prior[i] : 0));
+    features.forEach((x, n) => {
+      for (let i = 0; i < k; i += 1) {
+        xty[i] += x[i] * targets[n];
+        for (let j = 0; j < k; j += 1) xtx[i][j] += x[i] * x[j];
+      }
+    });
+    return solveLinear(xtx, xty);
+  }
+
+  function neighborhoodTypeKey(neighborhood, type) {
+    return `${neighborhood}|${type}`;
+  }
+
+  function fitHedonicGroup(rows, asOf, l2, prior, base) {
+    const features = rows.map((r) => hedonicFeatures(r, asOf));
+    const targets = rows.map((r) => Math.log(r.closePrice));
+    const coefficients = fitRidge(features, targets, l2, prior);
+    if (!coefficients) return null;
+    const residuals = features.map((x, n) => targets[n] - dot(coefficients, x));
+    return {
+      ...base,
+      sampleCount: rows.length,
+      coefficients,
+      rmse: Math.sqrt(residuals.reduce((sum, e) => sum + e * e, 0) / residuals.length),
+    };
+  }
+
+  // Fits fair-value models on qualified sales with sqft from the `options.windowDays`
+  // (default two years) before `options.asOf`. Types and neighborhood + type groups
+  // need `options.minSamples` sales; a neighborhood fit needs its type's city fit.
+  function fitHedonicModel(rows, options = {}) {
+    const asOf = options.asOf || todayIso();
+    const from = isoAddDays(asOf, -(options.windowDays || HEDONIC_WINDOW_DAYS));
+    const minSamples = options.minSamples || HEDONIC_MIN_SAMPLES;
+    const samples = rows.filter((r) => isSqftSale(r) && r.saleDate >= from && r.saleDate <= asOf);
+    const byType = new Map();
+    const byNeighborhood = new Map();
+    samples.forEach((r) => {
+      const type = r.typeLabel || "Unknown";
+      const key = neighborhoodTypeKey(r.neighborhoodLabel || "", type);
+      if (!byType.has(type)) byType.set(type, []);
+      if (!byNeighborhood.has(key)) byNeighborhood.set(key, []);
+      byType.get(type).push(r);
+      byNeighborhood.get(key).push(r);
+    });
+
+    const models = {};
+    byType.forEach((set, type) => {
+      if (set.length < minSamples) return;
+      const fit = fitHedonicGroup(set, asOf, HEDONIC_CITY_L2, null, { basis: "CITY_TYPE", neighborhoodLabel: "", typeLabel: type });
+      if (fit) models[neighborhoodTypeKey("*", type)] = fit;
+    });
+    byNeighborhood.forEach((set, key) => {
+      const city = models[neighborhoodTypeKey("*", set[0].typeLabel || "Unknown")];
+      if (set.length < minSamples || !city) return;
+      const fit = fitHedonicGroup(set, asOf, HEDONIC_NEIGHBORHOOD_L2, city.coefficients, {
+        basis: "NEIGHBORHOOD_TYPE",
+        neighborhoodLabel: set[0].neighborhoodLabel || "",
+        typeLabel: city.typeLabel,
+      });
+      if (fit) models[key] = fit;
+    });
+    return { asOf, features: HEDONIC_FEATURES, sampleCount: samples.length, models };
+  }
+
+  // Model fair value for a listing (priced at the fit's asOf) and how far its ask
+  // (List@Pending) sits above (+) or below (-) it.
+  function scoreFairValue(row, hedonic) {
+    const type = row.typeLabel || "Unknown";
+    const model = hedonic && row.sqft > 0
+      ? (hedonic.models[neighborhoodTypeKey(row.neighborhoodLabel || "", type)] || hedonic.models[neighborhoodTypeKey("*", type)])
+      : null;
+    if (!model) {
+      return { fairValue: null, fairValueGapPct: null, fairValueBasis: "NONE", fairValueSamples: 0 };
+    }
+    const fairValue = roundToNearest(Math.exp(dot(model.coefficients, hedonicFeatures({ ...row, saleDate: hedonic.asOf }, hedonic.asOf))));
+    return {
+      fairValue,
+      fairValueGapPct: row.pendingListPrice > 0 && fairValue > 0 ? (row.pendingListPrice - fairValue) / fairValue : null,
+      fairValueBasis: model.basis,
+      fairValueSamples: model.sampleCount,
+    };
+  }
+
+  function monthKey(index) {
+    return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, "0")}`;
+  }
+
+  // Monthly index levels ("YYYY-MM" -> median $/sqft) for every neighborhood + type
+  // and Seattle-wide type series. A month needs `options.minSales` sales in its
+  // trailing window; months without enough are left out.
+  function buildMarketIndex(rows, options = {}) {
+    const minSales = options.minSales || MARKET_INDEX_MIN_SALES;
+    const groups = new Map();
+    const add = (key, neighborhoodLabel, typeLabel, month, psf) => {
+      if (!groups.has(key)) groups.set(key, { neighborhoodLabel, typeLabel, sampleCount: 0, byMonth: new Map() });
+      const group = groups.get(key);
+      if (!group.byMonth.has(month)) group.byMonth.set(month, []);
+      group.byMonth.get(month).push(psf);
+      group.sampleCount += 1;
+    };
+    rows.filter(isSqftSale).forEach((r) => {
+      const type = r.typeLabel || "Unknown";
+      const month = monthIndex(r.saleDate);
+      const psf = r.closePrice / r.sqft;
+      add(neighborhoodTypeKey(r.neighborhoodLabel || "", type), r.neighborhoodLabel || "", type, month, psf);
+      add(neighborhoodTypeKey("*", type), "", type, month, psf);
+    });
+
+    const series = {};
+    groups.forEach((group, key) => {
+      const months = [...group.byMonth.keys()];
+      const levels = {};
+      for (let m = Math.min(...months); m <= Math.max(...months); m += 1) {
+        const trailing = [];
+        for (let k = 0; k < MARKET_INDEX_TRAILING_MONTHS; k += 1) trailing.push(...(group.byMonth.get(m - k) || []));
+        if (trailing.length >= minSales) levels[monthKey(m)] = median(trailing);
+      }
+      if (!Object.keys(levels).length) return;
+      series[key] = { neighborhoodLabel: group.neighborhoodLabel, typeLabel: group.typeLabel, sampleCount: group.sampleCount, levels };
+    });
+    return { series };
+  }
+
+  // Latest level at or up to a year before the month.
+  function marketIndexLevel(series, month) {
+    for (let m = month; m >= month - 12; m -= 1) {
+      const level = series.levels[monthKey(m)];
+      if (level) return level;
+    }
+    return null;
+  }
+
+  // Multiplier moving a comp's sale price to the `asOf` month: the index level then
+  // over the level in its sale month. Uses the comp's neighborhood + type series
+  // when it covers both months, else the Seattle-wide type series; 1 without either.
+  function marketIndexFactor(marketIndex, comp, asOf) {
+    if (!marketIndex || !comp.saleDate) return 1;
+    const type = comp.typeLabel || "Unknown";
+    const from = monthIndex(comp.saleDate);
+    const to = monthIndex(asOf);
+    const levels = [neighborhoodTypeKey(comp.neighborhoodLabel || "", type), neighborhoodTypeKey("*", type)]
+      .map((key) => marketIndex.series[key])
+      .filter(Boolean)
+      .map((series) => [marketIndexLevel(series, from), marketIndexLevel(series, to)])
+      .find(([fromLevel, toLevel]) => fromLevel && toLevel);
+    if (!levels) return 1;
+    return clamp(levels[1] / levels[0], 1 - MARKET_INDEX_MAX_ADJ, 1 + MARKET_INDEX_MAX_ADJ);
+  }
+
+  // Replays every sold MLS row in `rows` from its list date: comps are only sales
+  // in the window before that date, and each strategy's bid is compared with the
+  // actual close. `options.strategies` lists built-in keys or strategy objects
+  // with a `key`; `options.subjectFilter` and `options.compFilter` narrow the two sets.
+  // Bids read only comp sale/list ratios, so no sale after a list date reaches its replay.
+  function backtestBidModel(rows, options = {}) {
+    const strategies = (options.strategies || Object.keys(BID_STRATEGIES)).map((s) => ({
+      key: typeof s === "string" ? s : String(s.key || s.label),
+      params: resolveBidStrategy(s),
+    }));
+    const subjectFilter = options.subjectFilter || (() => true);
+    const compFilter = options.compFilter || (() => true);
+    const pool = rows
+      .filter((r) => isBidCompRow(r) && !!r.saleDate && compFilter(r))
+      .sort((a, b) => a.saleDate.localeCompare(b.saleDate));
+    const poolDates = pool.map((r) => r.saleDate);
+    const firstIndexOnOrAfter = (iso) => {
+      let lo = 0;
+      let hi = poolDates.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (poolDates[mid] < iso) lo = mid + 1;
+        else hi = mid;
+      }
+      return lo;
+    };
+
+    const subjects = rows.filter((r) => isBidCompRow(r) && subjectFilter(r));
+    const samples = [];
+    let skippedNoListDate = 0;
+    subjects.forEach((row) => {
+      if (!row.listDate || row.listDate > row.saleDate) {
+        skippedNoListDate += 1;
+        return;
+      }
+      const asOf = row.listDate;
+      const windowEnd = firstIndexOnOrAfter(asOf);
+      const subject = asOfListDate(row);
+      strategies.forEach(({ key, params }) => {
+        const windowPool = pool.slice(firstIndexOnOrAfter(isoAddDays(asOf, -params.compWindowDays)), windowEnd);
+        const bid = scoreBid(subject, windowPool, params, { asOf });
+        samples.push({
+          strategy: key,
+          row,
+          asOf,
+          ask: subject.pendingListPrice,
+          closePrice: row.closePrice,
+          neighborhood: row.neighborhoodLabel || "Seattle (Other)",
+          tier: bid.bidCompTier,
+          scored: bid.bidStatus === "SCored",
+          bidSuggested: bid.bidSuggested,
+          bidLow: bid.bidLow,
+          bidHigh: bid.bidHigh,
+          bidConfidence: bid.bidConfidence,
+          bidCompCount: bid.bidCompCount,
+          bidCompMedianAgeDays: bid.bidCompMedianAgeDays,
+          bidRatioSpread: bid.bidRatioSpread,
+          bidCompSimilarity: bid.bidCompSimilarity,
+        });
+      });
+    });
+
+    const byStrategy = {};
+    strategies.forEach(({ key, params }) => {
+      const set = samples.filter((s) => s.strategy === key);
+      byStrategy[key] = {
+        label: params.label,
+        compWindowDays: params.compWindowDays,
+        overall: summarizeBacktestSamples(set),
+        byTier: groupBacktestSamples(set, (s) => s.tier),
+        byNeighborhood: groupBacktestSamples(set, (s) => s.neighborhood),
+        calibration: fitBidCalibration(set),
+      };
+    });
+    return {
+      subjects: subjects.length - skippedNoListDate,
+      skippedNoListDate,
+      strategies: byStrategy,
+      samples,
+    };
+  }
+
+  return {
+    BID_CALIBRATION_MIN_SAMPLES,
+    BID_COMP_WINDOW_DAYS,
+    BID_HALFLIFE_DAYS,
+    BID_MIN_COMPS,
+    BID_MODEL_DEFAULTS,
+    BID_RADIUS_TIERS_MILES,
+    BID_RATIO_MAX,
+    BID_RATIO_MIN,
+    BID_STRATEGIES,
+    HEDONIC_FEATURES,
+    applyBidCalibration,
+    asOfListDate,
+    backtestBidModel,
+    bidConfidenceLabel,
+    bidStrategyFingerprint,
+    buildMarketIndex,
+    calibratedHitProbability,
+    compSimilarity,
+    computeBidCompTiers,
+    customBidStrategyKey,
+    fitBidCalibration,
+    fitHedonicModel,
+    haversineMiles,
+    importBidStrategies,
+    isBidCompRow,
+    isRadiusTier,
+    marketDom,
+    marketIndexFactor,
+    resolveBidStrategy,
+    scoreBid,
+    scoreFairValue,
+    selectSimilarComps,
+    solveLinear,
+    summarizeBacktestSamples,
+    validateBidStrategy,
+    weightedQuantile,
+  };
+});
@@ -3,18 +3,40 @@
 
 const fs = require("fs");
 const path = require("path");
-const readline = require("readline");
+const { parseCsvText, readCsvRecords } = require("./csv_parser");
+const {
+  LEGACY_PUBLIC_FILE,
+  MANIFEST_FILE,
+  enrichedNameForBase,
+  resolveManifestFile,
+  writeManifestSection,
+} = require("./data_manifest");
+const { addFuzzyCandidate, resolveFuzzyAddress } = require("./fuzzy_address");
+const {
+  applyRealtorProfile,
+  detectRealtorProfile,
+  findHeaderIndex,
+  loadProfileOverrides,
+  loadRealtorProfiles,
+  profileSourceColumns,
+} = require("./realtor_export_profiles");
+const { STATUS_HISTORY_FILE, archiveMlsSnapshot, snapshotDateFor } = require("./mls_snapshots");
+const { backOnMarketRow, detectMarketEvents } = require("./market_events");
 
 const PROJECT_DIR = path.resolve(__dirname, "..");
-const DEFAULT_BASE_FILE = path.join(PROJECT_DIR, "public_sales_proxy_all_prices_last12mo.csv");
+const DEFAULT_BASE_FILE = resolveManifestFile("publicProxy", LEGACY_PUBLIC_FILE);
 const DEFAULT_REALTOR_DIR = path.join(PROJECT_DIR, "realtor_exports");
-const DEFAULT_OUTPUT_FILE = path.join(PROJECT_DIR, "public_sales_proxy_mls_enriched_last12mo.csv");
 const DEFAULT_REPORT_FILE = path.join(PROJECT_DIR, "data_refresh_report.json");
 const BASE_FILE = path.resolve(process.env.MLS_BASE_FILE || DEFAULT_BASE_FILE);
+const DEFAULT_OUTPUT_FILE = path.join(PROJECT_DIR, enrichedNameForBase(BASE_FILE));
 const REALTOR_DIR = path.resolve(process.env.MLS_REALTOR_DIR || DEFAULT_REALTOR_DIR);
 const OUTPUT_FILE = path.resolve(process.env.MLS_OUTPUT_FILE || DEFAULT_OUTPUT_FILE);
 const REPORT_FILE = path.resolve(process.env.MLS_REPORT_FILE || DEFAULT_REPORT_FILE);
+const PROFILE_OVERRIDES_FILE = path.resolve(process.env.MLS_REALTOR_PROFILE_MAP || path.join(REALTOR_DIR, "profiles.json"));
 const PREVIOUS_ENRICHED_FILE = path.resolve(process.env.MLS_PREVIOUS_ENRICHED_FILE || DEFAULT_OUTPUT_FILE);
+const JOIN_AUDIT_FILE = path.resolve(process.env.MLS_JOIN_AUDIT_FILE || path.join(PROJECT_DIR, "mls_join_audit.json"));
+const JOIN_AUDIT_CSV_FILE = JOIN_AUDIT_FILE.replace(/\.json$/i, "") + ".csv";
+const APN_REVIEW_FILE = path.resolve(process.env.MLS_APN_REVIEW_FILE || path.join(PROJECT_DIR, "mls_apn_review.csv"));
 const ACCOUNT_FILE = path.join(PROJECT_DIR, "EXTR_RPAcct_NoName.csv");
 const RESBLDG_FILE = path.join(PROJECT_DIR, "EXTR_ResBldg.csv");
 const PARCEL_COORDS_FILE = path.join(PROJECT_DIR, "parcel_coords_major_minor.csv");
@@ -59,8 +81,14 @@ const MLS_ENRICHMENT_COLUMNS = [
   "mlsSquareFootageSource",
   "mlsDateLagDays",
   "mlsJoinMethod",
+  "mlsApnResolutionMethod",
+  "mlsApnResolutionConfidence",
   "mlsDaysToPending",
   "mlsDaysPendingToSale",
+  "isBackOnMarket",
+  "relistCount",
+  "priorListPrice",
+  "marketEventReason",
   "hotMarketTag",
   "saleToListRatio",
   "saleToOriginalListRatio",
@@ -104,30 +132,6 @@ const ZIP_NEIGHBORHOOD = {
   "98199": "Magnolia",
 };
 
-function parseCsvLine(line) {
-  const out = [];
-  let cur = "";
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i += 1) {
-    const ch = line[i];
-    if (ch === "\"") {
-      if (inQuotes && line[i + 1] === "\"") {
-        cur += "\"";
-        i += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (ch === "," && !inQuotes) {
-      out.push(cur.trim());
-      cur = "";
-    } else {
-      cur += ch;
-    }
-  }
-  out.push(cur.trim());
-  return out;
-}
-
 function toIsoDate(value) {
   const raw = String(value || "").trim();
   if (!raw) return "";
@@ -312,6 +316,9 @@ function buildParcelSnapshotByApn(rows) {
       subArea: "",
       sqFtLot: "",
       zoning: "",
+      zoningRuleZone: "",
+      maxUnitsAllowed: "",
+      daduEligible: "",
       lat: "",
       lon: "",
       beds: "",
@@ -319,6 +326,8 @@ function buildParcelSnapshotByApn(rows) {
       sqft: "",
       yearBuilt: "",
       assessedValue: "",
+      landValue: "",
+      improvementValue: "",
     };
     const next = { ...prev };
     if (!next.address && row.address) next.address = row.address;
@@ -331,14 +340,23 @@ function buildParcelSnapshotByApn(rows) {
     if (!next.area && row.area) next.area = row.area;
     if (!next.subArea && row.subArea) next.subArea = row.subArea;
     if (!next.sqFtLot && row.sqFtLot) next.sqFtLot = row.sqFtLot;
-    if (!next.zoning && row.zoning) next.zoning = row.zoning;
+    if (!next.zoning && row.zoning) {
+      next.zoning = row.zoning;
+      next.zoningRuleZone = row.zoningRuleZone || "";
+      next.maxUnitsAllowed = row.maxUnitsAllowed || "";
+      next.daduEligible = row.daduEligible || "";
+    }
     if (!next.lat && row.lat) next.lat = row.lat;
     if (!next.lon && row.lon) next.lon = row.lon;
     if (!next.beds && row.beds) next.beds = row.beds;
     if (!next.baths && row.baths) next.baths = row.baths;
     if (!next.sqft && row.sqft) next.sqft = row.sqft;
     if (!next.yearBuilt && row.yearBuilt) next.yearBuilt = row.yearBuilt;
-    if (!next.assessedValue && row.assessedValue) next.assessedValue = row.assessedValue;
+    if (!next.assessedValue && row.assessedValue) {
+      next.assessedValue = row.assessedValue;
+      next.landValue = row.landValue || "";
+      next.improvementValue = row.improvementValue || "";
+    }
     out.set(apn, next);
   });
   return out;
@@ -346,10 +364,9 @@ function buildParcelSnapshotByApn(rows) {
 
 function readParcelCoordsByApn() {
   if (!fs.existsSync(PARCEL_COORDS_FILE)) return new Map();
-  const text = fs.readFileSync(PARCEL_COORDS_FILE, "utf8");
-  const lines = text.split(/\r?\n/).filter((line) => line.trim());
-  if (!lines.length) return new Map();
-  const headers = parseCsvLine(lines[0]).map((h) => String(h || "").trim());
+  const records = parseCsvText(fs.readFileSync(PARCEL_COORDS_FILE, "utf8"));
+  if (!records.length) return new Map();
+  const headers = records[0];
   const idx = Object.fromEntries(headers.map((h, i) => [h, i]));
   const majorIdx = idx.major ?? idx.Major;
   const minorIdx = idx.minor ?? idx.Minor;
@@ -359,8 +376,7 @@ function readParcelCoordsByApn() {
   if (latIdx === undefined || lonIdx === undefined) return new Map();
 
   const out = new Map();
-  lines.slice(1).forEach((line) => {
-    const cols = parseCsvLine(line);
+  records.slice(1).forEach((cols) => {
     const major = majorIdx !== undefined ? String(cols[majorIdx] || "").replace(/\D/g, "").slice(-6).padStart(6, "0") : "";
     const minor = minorIdx !== undefined ? String(cols[minorIdx] || "").replace(/\D/g, "").slice(-4).padStart(4, "0") : "";
     let apn = `${major}${minor}`.replace(/\D/g, "");
@@ -432,14 +448,6 @@ function discoverRealtorFiles() {
     }));
 }
 
-function findHeaderIndex(lines) {
-  for (let i = 0; i < lines.length; i += 1) {
-    const cols = parseCsvLine(lines[i]).map((c) => String(c || "").trim());
-    if (cols.includes("Listing Number") && cols.includes("Status")) return i;
-  }
-  return -1;
-}
-
 function mlsAddressFromParts(row) {
   const street = [
     row["Street Number"],
@@ -478,12 +486,10 @@ function canonicalMlsStreetNoUnit(row) {
 }
 
 function readBaseRows() {
-  const text = fs.readFileSync(BASE_FILE, "utf8");
-  const lines = text.split(/\r?\n/).filter((line) => line.trim());
-  const headers = parseCsvLine(lines[0]);
+  const records = parseCsvText(fs.readFileSync(BASE_FILE, "utf8"));
+  const headers = records[0];
   const idx = Object.fromEntries(headers.map((h, i) => [h, i]));
-  const rows = lines.slice(1).map((line) => {
-    const cols = parseCsvLine(line);
+  const rows = records.slice(1).map((cols) => {
     const obj = {};
     headers.forEach((h, i) => { obj[h] = cols[i] || ""; });
     obj.__parcel = parcelDigits(obj);
@@ -512,18 +518,16 @@ function readPreviousListingApnMap() {
   const out = new Map();
   if (!fs.existsSync(PREVIOUS_ENRICHED_FILE)) return out;
 
-  const text = fs.readFileSync(PREVIOUS_ENRICHED_FILE, "utf8");
-  const lines = text.split(/\r?\n/).filter((line) => line.trim());
-  if (lines.length < 2) return out;
+  const records = parseCsvText(fs.readFileSync(PREVIOUS_ENRICHED_FILE, "utf8"));
+  if (records.length < 2) return out;
 
-  const headers = parseCsvLine(lines[0]);
+  const headers = records[0];
   const idx = Object.fromEntries(headers.map((h, i) => [h, i]));
   const listingIdx = idx.mlsListingNumber;
   const parcelIdx = idx.parcelNbr;
   if (listingIdx === undefined || parcelIdx === undefined) return out;
 
-  lines.slice(1).forEach((line) => {
-    const cols = parseCsvLine(line);
+  records.slice(1).forEach((cols) => {
     const listingNumber = String(cols[listingIdx] || "").trim();
     const apn = normalizeApn(cols[parcelIdx]);
     if (!listingNumber || !apn || out.has(listingNumber)) return;
@@ -532,30 +536,25 @@ function readPreviousListingApnMap() {
   return out;
 }
 
-async function readCountyAddressMaps(targetExactKeys, targetNoUnitKeys) {
+async function readCountyAddressMaps(targetExactKeys, targetNoUnitKeys, fuzzyZips = new Set()) {
   const out = {
     resBldgExactByAddress: new Map(),
     resBldgNoUnitByAddress: new Map(),
     accountExactByAddress: new Map(),
     accountNoUnitByAddress: new Map(),
+    fuzzyCandidatesByZip: new Map(),
   };
 
   if (!targetExactKeys.size && !targetNoUnitKeys.size) return out;
 
   if (fs.existsSync(RESBLDG_FILE)) {
-    const rl = readline.createInterface({
-      input: fs.createReadStream(RESBLDG_FILE),
-      crlfDelay: Infinity,
-    });
     let idx = null;
-    for await (const line of rl) {
-      if (!line) continue;
+    for await (const cols of readCsvRecords(RESBLDG_FILE)) {
       if (!idx) {
-        const headers = parseCsvLine(line).map((h) => clean(h));
+        const headers = cols.map((h) => clean(h));
         idx = Object.fromEntries(headers.map((h, i) => [h, i]));
         continue;
       }
-      const cols = parseCsvLine(line);
       const apn = normalizeApn(`${clean(cols[idx.Major])}${clean(cols[idx.Minor])}`);
       if (!apn) continue;
 
@@ -571,45 +570,40 @@ async function readCountyAddressMaps(targetExactKeys, targetNoUnitKeys) {
         ]),
         zip
       );
-      const noUnitKey = canonicalAddressKey(
-        canonicalStreet([
-          clean(cols[idx.BuildingNumber]),
-          clean(cols[idx.DirectionPrefix]),
-          clean(cols[idx.StreetName]),
-          clean(cols[idx.StreetType]),
-          clean(cols[idx.DirectionSuffix]),
-        ]),
-        zip
-      );
+      const noUnitStreet = canonicalStreet([
+        clean(cols[idx.BuildingNumber]),
+        clean(cols[idx.DirectionPrefix]),
+        clean(cols[idx.StreetName]),
+        clean(cols[idx.StreetType]),
+        clean(cols[idx.DirectionSuffix]),
+      ]);
+      const noUnitKey = canonicalAddressKey(noUnitStreet, zip);
 
       if (targetExactKeys.has(exactKey)) addSetValue(out.resBldgExactByAddress, exactKey, apn);
       if (targetNoUnitKeys.has(noUnitKey)) addSetValue(out.resBldgNoUnitByAddress, noUnitKey, apn);
+      if (fuzzyZips.has(zip5(zip))) addFuzzyCandidate(out.fuzzyCandidatesByZip, zip5(zip), noUnitStreet, apn, "RESBLDG");
     }
   }
 
   if (fs.existsSync(ACCOUNT_FILE)) {
-    const rl = readline.createInterface({
-      input: fs.createReadStream(ACCOUNT_FILE),
-      crlfDelay: Infinity,
-    });
     let idx = null;
-    for await (const line of rl) {
-      if (!line) continue;
+    for await (const cols of readCsvRecords(ACCOUNT_FILE)) {
       if (!idx) {
-        const headers = parseCsvLine(line).map((h) => clean(h));
+        const headers = cols.map((h) => clean(h));
         idx = Object.fromEntries(headers.map((h, i) => [h, i]));
         continue;
       }
-      const cols = parseCsvLine(line);
       const apn = normalizeApn(`${clean(cols[idx.Major])}${clean(cols[idx.Minor])}`);
       if (!apn) continue;
 
       const addr = clean(cols[idx.AddrLine]);
       const zip = clean(cols[idx.ZipCode]);
       const exactKey = canonicalAddressKey(addr, zip);
-      const noUnitKey = canonicalAddressKey(stripTrailingUnit(addr), zip);
+      const noUnitStreet = stripTrailingUnit(addr);
+      const noUnitKey = canonicalAddressKey(noUnitStreet, zip);
       if (targetExactKeys.has(exactKey)) addSetValue(out.accountExactByAddress, exactKey, apn);
       if (targetNoUnitKeys.has(noUnitKey)) addSetValue(out.accountNoUnitByAddress, noUnitKey, apn);
+      if (fuzzyZips.has(zip5(zip))) addFuzzyCandidate(out.fuzzyCandidatesByZip, zip5(zip), noUnitStreet, apn, "ACCOUNT");
     }
   }
 
@@ -624,21 +618,29 @@ async function resolveRealtorApns(rows, options = {}) {
     accountExact: 0,
     resBldgNoUnit: 0,
     accountNoUnit: 0,
+    fuzzyAddress: 0,
     unresolved: 0,
+    fuzzyAddressReview: 0,
   };
   if (!rows.length) return counts;
 
   const listingApnByListingNumber = options.listingApnByListingNumber || readPreviousListingApnMap();
   const targetExactKeys = new Set();
   const targetNoUnitKeys = new Set();
+  const fuzzyZips = new Set();
 
   rows.forEach((row) => {
     if (row.apn) return;
     if (row.addressKeyExact) targetExactKeys.add(row.addressKeyExact);
-    if (row.addressKeyNoUnit) targetNoUnitKeys.add(row.addressKeyNoUnit);
+    if (row.addressKeyNoUnit) {
+      targetNoUnitKeys.add(row.addressKeyNoUnit);
+      fuzzyZips.add(row.addressKeyNoUnit.split("|")[1]);
+    }
   });
 
-  const countyAddressMaps = options.countyAddressMaps || await readCountyAddressMaps(targetExactKeys, targetNoUnitKeys);
+  const countyAddressMaps = options.countyAddressMaps
+    || await readCountyAddressMaps(targetExactKeys, targetNoUnitKeys, fuzzyZips);
+  const fuzzyCandidatesByZip = countyAddressMaps.fuzzyCandidatesByZip || new Map();
 
   rows.forEach((row) => {
     if (row.apn) {
@@ -674,14 +676,60 @@ async function resolveRealtorApns(rows, options = {}) {
       row.apnResolutionMethod = "COUNTY_ACCOUNT_NO_UNIT";
       counts.accountNoUnit += 1;
     } else {
-      row.apnResolutionMethod = "";
-      counts.unresolved += 1;
+      const [street, zip] = String(row.addressKeyNoUnit || "").split("|");
+      const fuzzy = resolveFuzzyAddress(street, zip, fuzzyCandidatesByZip);
+      if (fuzzy.status === "resolved") {
+        row.apn = fuzzy.apn;
+        row.apnResolutionMethod = "FUZZY_ADDRESS";
+        row.apnResolutionConfidence = fuzzy.confidence.toFixed(2);
+        counts.fuzzyAddress += 1;
+      } else {
+        row.apnResolutionMethod = "";
+        counts.unresolved += 1;
+        if (fuzzy.status === "review") {
+          row.apnReview = fuzzy;
+          counts.fuzzyAddressReview += 1;
+        }
+      }
     }
   });
 
   return counts;
 }
 
+function writeApnReviewFile(rows) {
+  const header = [
+    "listingNumber",
+    "region",
+    "status",
+    "mlsAddress",
+    "zip",
+    "reason",
+    "bestConfidence",
+    "candidateApns",
+    "candidateAddresses",
+    "candidateScores",
+  ];
+  const lines = [header.join(",")];
+  rows.filter((row) => row.apnReview).forEach((row) => {
+    const review = row.apnReview;
+    lines.push([
+      row.listingNumber,
+      row.region,
+      row.status,
+      row.mlsAddress,
+      row.zip,
+      review.reason,
+      review.confidence.toFixed(2),
+      review.candidates.map((c) => c.apn).join("|"),
+      review.candidates.map((c) => c.street).join("|"),
+      review.candidates.map((c) => c.score.toFixed(2)).join("|"),
+    ].map(safeCsv).join(","));
+  });
+  fs.writeFileSync(APN_REVIEW_FILE, `${lines.join("\n")}\n`);
+  return lines.length - 1;
+}
+
 function hasMeaningfulValue(value) {
   if (value === null || value === undefined) return false;
   if (typeof value === "number") return Number.isFinite(value) && value !== 0;
@@ -835,10 +883,19 @@ function dedupeRealtorRows(rows) {
     duplicateListingCount += 1;
     duplicateRowsCollapsed += group.length - 1;
     const ranked = [...group].sort(compareRealtorRows);
+    // A listing that fell out of pending is Active again; the pending row's
+    // dates describe the failed deal, not the current listing.
+    const backOnMarket = backOnMarketRow(group);
+    if (backOnMarket) {
+      ranked.splice(ranked.indexOf(backOnMarket.row), 1);
+      ranked.unshift(backOnMarket.row);
+    }
     const merged = { ...ranked[0] };
+    if (backOnMarket) merged.backOnMarketInExports = { pendingListPrice: backOnMarket.pendingListPrice };
 
     ranked.slice(1).forEach((candidate) => {
       fillableFields.forEach((field) => {
+        if (backOnMarket && (field === "pendingDate" || field === "contractualDate")) return;
         if (!hasMeaningfulValue(merged[field]) && hasMeaningfulValue(candidate[field])) {
           merged[field] = candidate[field];
         }
@@ -860,33 +917,42 @@ function dedupeRealtorRows(rows) {
   };
 }
 
-function readRealtorRows(discoveredFiles) {
+// Each discovered file gets `profile` and `detection` set so main() can report
+// which export layout it was read as.
+function readRealtorRows(discoveredFiles, profileConfig = loadRealtorProfiles()) {
   const out = [];
   const discovered = discoveredFiles || discoverRealtorFiles();
   if (!discovered.length) {
     throw new Error(`No realtor CSV files found in ${REALTOR_DIR}`);
   }
+  const overrides = loadProfileOverrides(PROFILE_OVERRIDES_FILE);
 
-  discovered.forEach(({ file, region, full }) => {
-    const text = fs.readFileSync(full, "utf8");
-    const lines = text.split(/\r?\n/).filter((line) => line.trim());
-    if (lines.length < 2) return;
+  discovered.forEach((entry) => {
+    const { file, region, full } = entry;
+    const records = parseCsvText(fs.readFileSync(full, "utf8"));
+    if (records.length < 2) return;
 
-    const headerIndex = findHeaderIndex(lines);
-    if (headerIndex < 0 || headerIndex >= lines.length - 1) {
-      throw new Error(`Could not find header row with Listing Number/Status in realtor file: ${file}`);
+    const { profile, headerIndex, detection } = detectRealtorProfile(records, profileConfig.profiles, overrides[file]);
+    if (!profile) {
+      throw new Error(`Realtor file ${file} matches no export profile; add one to the profiles file or map it in ${PROFILE_OVERRIDES_FILE}`);
     }
+    if (headerIndex < 0 || headerIndex >= records.length - 1) {
+      throw new Error(`Could not find header row with ${profile.detectHeaders.join("/")} in realtor file: ${file}`);
+    }
+    entry.profile = profile.id;
+    entry.detection = detection;
 
-    const headers = normalizeHeaderNames(parseCsvLine(lines[headerIndex]));
-    const missingRequired = REQUIRED_REALTOR_COLUMNS.filter((h) => !headers.includes(h));
+    const headers = normalizeHeaderNames(records[headerIndex]);
+    const requiredColumns = profile.columns ? profileSourceColumns(profile) : REQUIRED_REALTOR_COLUMNS;
+    const missingRequired = requiredColumns.filter((h) => !headers.includes(h));
     if (missingRequired.length) {
-      throw new Error(`Realtor file ${file} missing required columns: ${missingRequired.join(", ")}`);
+      throw new Error(`Realtor file ${file} (${profile.id} profile) missing required columns: ${missingRequired.join(", ")}`);
     }
 
-    lines.slice(headerIndex + 1).forEach((line, rowIndex) => {
-      const cols = parseCsvLine(line);
-      const row = {};
-      headers.forEach((h, i) => { row[h] = (cols[i] || "").trim(); });
+    records.slice(headerIndex + 1).forEach((cols, rowIndex) => {
+      const sourceRow = {};
+      headers.forEach((h, i) => { sourceRow[h] = (cols[i] || "").trim(); });
+      const row = applyRealtorProfile(sourceRow, profile);
 
       const status = normalizeMlsStatus(row.Status);
       const sellingDate = toIsoDate(row["Selling Date"]);
@@ -959,31 +1025,36 @@ function readRealtorRows(discoveredFiles) {
   return out;
 }
 
-function chooseBestMatch(baseRow, candidates, usedIds) {
-  const baseDate = toDate(baseRow.__saleDate);
+// Scores one county sale against one MLS closed row. `reason` is empty when the
+// pair is inside both tolerances, otherwise it names the check that failed.
+function evaluateSaleCandidate(baseRow, c) {
   const basePrice = baseRow.__closePrice;
-  if (!baseDate || !basePrice) return null;
+  if (!toDate(baseRow.__saleDate) || !basePrice || !c.sellingPrice || !toDate(c.sellingDate)) {
+    return { score: Infinity, dateLag: null, priceDiff: null, priceDiffPct: null, reason: "missing_sale_date_or_price" };
+  }
+  const dateLag = Math.abs(dayDiff(baseRow.__saleDate, c.sellingDate));
+  const priceDiff = Math.abs(c.sellingPrice - basePrice);
+  const priceDiffPct = priceDiff / basePrice;
+  const dateOk = dateLag <= MAX_DATE_LAG_DAYS;
+  const priceOk = priceDiff <= PRICE_TOLERANCE_ABS || priceDiffPct <= PRICE_TOLERANCE_PCT;
+  let reason = "";
+  if (!dateOk && !priceOk) reason = "date_lag_and_price_outside_tolerance";
+  else if (!dateOk) reason = "date_lag_exceeded";
+  else if (!priceOk) reason = "price_outside_tolerance";
+  return { score: (dateLag * 100000) + priceDiff, dateLag, priceDiff, priceDiffPct, reason };
+}
 
+function chooseBestMatch(baseRow, candidates, usedIds) {
   let best = null;
   candidates.forEach((c) => {
     if (usedIds.has(c.uid)) return;
-    if (!c.sellingDate || !c.sellingPrice) return;
-    const cDate = toDate(c.sellingDate);
-    if (!cDate) return;
-    const dateLag = Math.abs(dayDiff(baseRow.__saleDate, c.sellingDate));
-    if (dateLag === null || dateLag > MAX_DATE_LAG_DAYS) return;
-
-    const priceDiff = Math.abs(c.sellingPrice - basePrice);
-    const priceDiffPct = basePrice > 0 ? (priceDiff / basePrice) : 1;
-    const priceOk = priceDiff <= PRICE_TOLERANCE_ABS || priceDiffPct <= PRICE_TOLERANCE_PCT;
-    if (!priceOk) return;
-
-    const score = (dateLag * 100000) + priceDiff;
-    if (!best || score < best.score) {
+    const evaluation = evaluateSaleCandidate(baseRow, c);
+    if (evaluation.reason) return;
+    if (!best || evaluation.score < best.score) {
       best = {
-        score,
-        dateLag,
-        priceDiff,
+        score: evaluation.score,
+        dateLag: evaluation.dateLag,
+        priceDiff: evaluation.priceDiff,
         candidate: c,
       };
     }
@@ -991,6 +1062,107 @@ function chooseBestMatch(baseRow, candidates, usedIds) {
   return best;
 }
 
+function nearestSaleCandidate(baseRow, candidates, mlsSide) {
+  let best = null;
+  candidates.forEach((other) => {
+    const evaluation = mlsSide ? evaluateSaleCandidate(other, baseRow) : evaluateSaleCandidate(baseRow, other);
+    if (!best || evaluation.score < best.evaluation.score) best = { other, evaluation };
+  });
+  return best;
+}
+
+function joinAuditEntry(side, countyRow, mlsRow, outcome, evaluation, reason) {
+  return {
+    side,
+    outcome,
+    reason,
+    apn: countyRow?.__parcel || mlsRow?.apn || "",
+    address: mlsRow?.mlsAddress || countyRow?.address || "",
+    countyId: countyRow?.id || "",
+    countySaleDate: countyRow?.__saleDate || "",
+    countyClosePrice: countyRow?.__closePrice || "",
+    mlsListingNumber: mlsRow?.listingNumber || "",
+    mlsStatus: mlsRow?.status || "",
+    mlsSellingDate: mlsRow?.sellingDate || "",
+    mlsSellingPrice: mlsRow?.sellingPrice || "",
+    mlsApnResolutionMethod: mlsRow?.apnResolutionMethod || "",
+    dateLagDays: evaluation?.dateLag ?? "",
+    priceDiff: evaluation?.priceDiff ?? "",
+    priceDiffPct: evaluation && evaluation.priceDiffPct !== null ? Number(evaluation.priceDiffPct.toFixed(4)) : "",
+  };
+}
+
+// One entry per county sale on an APN that has MLS closed rows and one per MLS
+// closed row, each with its matched partner or the closest rejected candidate.
+function buildJoinAudit(countyRows, mlsClosedRows, matchesByUid) {
+  const countyByApn = new Map();
+  countyRows.forEach((row) => {
+    if (!row.__parcel) return;
+    if (!countyByApn.has(row.__parcel)) countyByApn.set(row.__parcel, []);
+    countyByApn.get(row.__parcel).push(row);
+  });
+  const mlsByApn = new Map();
+  mlsClosedRows.forEach((c) => {
+    if (!mlsByApn.has(c.apn)) mlsByApn.set(c.apn, []);
+    mlsByApn.get(c.apn).push(c);
+  });
+  const matchByCountyId = new Map([...matchesByUid.values()].map((m) => [m.row.__id, m]));
+
+  const entries = [];
+  countyRows.forEach((row) => {
+    const candidates = mlsByApn.get(row.__parcel);
+    if (!candidates) return;
+    const match = matchByCountyId.get(row.__id);
+    if (match) {
+      entries.push(joinAuditEntry("county", row, match.candidate, "matched", evaluateSaleCandidate(row, match.candidate), ""));
+      return;
+    }
+    const near = nearestSaleCandidate(row, candidates, false);
+    const reason = near.evaluation.reason || "mls_row_matched_to_other_county_sale";
+    entries.push(joinAuditEntry("county", row, near.other, "near_miss", near.evaluation, reason));
+  });
+  mlsClosedRows.forEach((c) => {
+    const match = matchesByUid.get(c.uid);
+    if (match) {
+      entries.push(joinAuditEntry("mls", match.row, c, "matched", evaluateSaleCandidate(match.row, c), ""));
+      return;
+    }
+    const candidates = countyByApn.get(c.apn);
+    if (!candidates) {
+      entries.push(joinAuditEntry("mls", null, c, "no_candidate", null, "no_county_sale_on_apn"));
+      return;
+    }
+    const near = nearestSaleCandidate(c, candidates, true);
+    const reason = near.evaluation.reason || "county_sale_matched_to_other_mls_row";
+    entries.push(joinAuditEntry("mls", near.other, c, "near_miss", near.evaluation, reason));
+  });
+
+  const summary = {};
+  entries.forEach((entry) => {
+    const key = `${entry.side}:${entry.outcome}${entry.reason ? `:${entry.reason}` : ""}`;
+    summary[key] = (summary[key] || 0) + 1;
+  });
+  return {
+    tolerances: {
+      maxDateLagDays: MAX_DATE_LAG_DAYS,
+      priceToleranceAbs: PRICE_TOLERANCE_ABS,
+      priceTolerancePct: PRICE_TOLERANCE_PCT,
+    },
+    summary,
+    rows: entries,
+  };
+}
+
+function writeJoinAudit(audit, generatedAt) {
+  fs.writeFileSync(JOIN_AUDIT_FILE, `${JSON.stringify({ generatedAt, ...audit }, null, 2)}\n`);
+  const header = Object.keys(joinAuditEntry("county", null, null, "", null, ""));
+  const lines = [header.join(",")];
+  audit.rows.forEach((entry) => {
+    lines.push(header.map((h) => safeCsv(entry[h])).join(","));
+  });
+  fs.writeFileSync(JOIN_AUDIT_CSV_FILE, `${lines.join("\n")}\n`);
+}
+
 function stubAnchorDate(c) {
   return c.pendingDate || c.contractualDate || c.listingDate || "";
 }
@@ -1037,6 +1209,31 @@ function chooseBestListingStub(baseRow, candidates, usedIds) {
   return best;
 }
 
+// One archive row per listing number; dedupeRealtorRows has already put the
+// preferred row first when a listing still has conflicting duplicates.
+function listingSnapshotRows(rows) {
+  const byListing = new Map();
+  rows.forEach((row) => {
+    if (!row.listingNumber || byListing.has(row.listingNumber)) return;
+    byListing.set(row.listingNumber, {
+      mlsListingNumber: row.listingNumber,
+      mlsStatus: row.status,
+      mlsListingPrice: row.listingPrice || "",
+      mlsOriginalPrice: row.originalPrice || "",
+      mlsSellingPrice: row.sellingPrice || "",
+      mlsDOM: row.domRaw,
+      mlsCDOM: row.cdomRaw,
+      mlsListDate: row.listingDate,
+      mlsPendingDate: row.pendingDate,
+      mlsSellingDate: row.sellingDate,
+      apn: row.apn,
+      mlsAddress: row.mlsAddress,
+      mlsRegion: row.region,
+    });
+  });
+  return [...byListing.values()];
+}
+
 function writeRefreshReport(report) {
   fs.writeFileSync(REPORT_FILE, `${JSON.stringify(report, null, 2)}\n`);
 }
@@ -1083,8 +1280,14 @@ function buildMlsFieldValues(candidate, options = {}) {
       ? ""
       : String(options.dateLagDays),
     mlsJoinMethod: options.joinMethod || "",
+    mlsApnResolutionMethod: candidate.apnResolutionMethod || "",
+    mlsApnResolutionConfidence: candidate.apnResolutionConfidence || "",
     mlsDaysToPending: daysToPending === null || daysToPending === undefined ? "" : String(daysToPending),
     mlsDaysPendingToSale: daysPendingToSale === null || daysPendingToSale === undefined ? "" : String(daysPendingToSale),
+    isBackOnMarket: candidate.isBackOnMarket ? "true" : "false",
+    relistCount: String(candidate.relistCount || 0),
+    priorListPrice: candidate.priorListPrice > 0 ? String(candidate.priorListPrice) : "",
+    marketEventReason: candidate.marketEventReason || "",
     hotMarketTag: buildHotMarketTag(candidate.dom, daysToPending),
     saleToListRatio: includeOutcomeMetrics && saleToListRatio > 0 ? saleToListRatio.toFixed(4) : "",
     saleToOriginalListRatio: includeOutcomeMetrics && saleToOriginalRatio > 0 ? saleToOriginalRatio.toFixed(4) : "",
@@ -1105,11 +1308,16 @@ async function main() {
 
   const realtorFiles = discoverRealtorFiles();
   if (!realtorFiles.length) throw new Error(`No realtor CSV files found in ${REALTOR_DIR}`);
+  const profileConfig = loadRealtorProfiles();
   const { headers, rows } = readBaseRows();
-  const rawMlsRows = readRealtorRows(realtorFiles);
+  const rawMlsRows = readRealtorRows(realtorFiles, profileConfig);
   const dedupedMls = dedupeRealtorRows(rawMlsRows);
   const mlsRows = dedupedMls.rows;
   const apnResolutionCounts = await resolveRealtorApns(mlsRows);
+  const apnReviewRows = writeApnReviewFile(mlsRows);
+  const snapshotRows = listingSnapshotRows(mlsRows);
+  const snapshotArchive = archiveMlsSnapshot(snapshotRows, snapshotDateFor());
+  const marketEventCounts = detectMarketEvents(mlsRows, snapshotArchive.snapshots);
   const resolvedMlsRows = mlsRows.filter((r) => !!r.apn);
   const unresolvedMlsRows = mlsRows.filter((r) => !r.apn);
   const mlsClosedRows = resolvedMlsRows.filter((r) => r.isClosed && r.sellingDate && r.sellingPrice > 0);
@@ -1135,6 +1343,7 @@ async function main() {
   });
 
   const used = new Set();
+  const matchesByUid = new Map();
   let matched = 0;
   let listingStubbed = 0;
   const merged = rows.map((row) => {
@@ -1145,6 +1354,7 @@ async function main() {
     if (match) {
       const c = match.candidate;
       used.add(c.uid);
+      matchesByUid.set(c.uid, { row, candidate: c });
       matched += 1;
 
       out.dataMode = "MLS_ENRICHED";
@@ -1155,7 +1365,7 @@ async function main() {
       out.listDate = c.listingDate || out.listDate;
       out.pendingDate = c.pendingDate || out.pendingDate;
       out.saleDate = c.sellingDate || out.saleDate;
-      out.listPriceAtPending = c.listingPrice > 0 ? String(c.listingPrice) : out.listPriceAtPending;
+      out.listPriceAtPending = c.listingPrice > 0 ? String(c.listingPrice) : "";
       out.closePrice = c.sellingPrice > 0 ? String(c.sellingPrice) : out.closePrice;
       if (c.beds > 0) out.beds = String(c.beds);
       if (c.baths > 0) out.baths = String(c.baths);
@@ -1165,7 +1375,7 @@ async function main() {
       const daysToPending = dayDiff(c.listingDate, c.pendingDate);
       const daysPendingToSale = dayDiff(c.pendingDate, c.sellingDate);
       const close = c.sellingPrice > 0 ? c.sellingPrice : Math.round(num(out.closePrice));
-      const list = c.listingPrice > 0 ? c.listingPrice : Math.round(num(out.listPriceAtPending));
+      const list = c.listingPrice > 0 ? c.listingPrice : 0;
       const original = c.originalPrice > 0 ? c.originalPrice : 0;
       const bidUp = (close > 0 && list > 0) ? (close - list) : 0;
       const bidUpPct = (close > 0 && list > 0) ? (bidUp / list) : 0;
@@ -1200,7 +1410,7 @@ async function main() {
         }
         if (c.listingDate) out.listDate = c.listingDate;
         if (c.pendingDate) out.pendingDate = c.pendingDate;
-        if (c.listingPrice > 0) out.listPriceAtPending = String(c.listingPrice);
+        out.listPriceAtPending = c.listingPrice > 0 ? String(c.listingPrice) : "";
 
         if (!out.type || out.type === "Unknown") out.type = inferTypeFromMlsStyle(c.styleCode);
         if (c.beds > 0 && !num(out.beds)) out.beds = String(c.beds);
@@ -1210,7 +1420,7 @@ async function main() {
         if (c.zip && !out.zip) out.zip = c.zip;
 
         const close = Math.round(num(out.closePrice));
-        const list = c.listingPrice > 0 ? c.listingPrice : Math.round(num(out.listPriceAtPending || out.assessedValue));
+        const list = c.listingPrice > 0 ? c.listingPrice : 0;
         const original = c.originalPrice > 0 ? c.originalPrice : 0;
         const daysToPending = dayDiff(c.listingDate, c.pendingDate);
         const daysPendingToSale = dayDiff(c.pendingDate, out.saleDate);
@@ -1232,6 +1442,7 @@ async function main() {
           bidUpPct,
         }));
       } else {
+        out.listPriceAtPending = "";
         clearMlsFieldValues(out);
       }
     }
@@ -1280,6 +1491,8 @@ async function main() {
     row.listPriceAtPending = list > 0 ? String(list) : "";
     row.closePrice = close > 0 ? String(close) : "";
     row.assessedValue = snapshot.assessedValue || "";
+    row.landValue = snapshot.landValue || "";
+    row.improvementValue = snapshot.improvementValue || "";
     row.beds = c.beds > 0 ? String(c.beds) : (snapshot.beds || "");
     row.baths = c.baths > 0 ? String(c.baths) : (snapshot.baths || "");
     row.sqft = c.sqft > 0 ? String(c.sqft) : (snapshot.sqft || "");
@@ -1290,6 +1503,9 @@ async function main() {
     row.subArea = snapshot.subArea || "";
     row.sqFtLot = snapshot.sqFtLot || "";
     row.zoning = snapshot.zoning || "";
+    row.zoningRuleZone = snapshot.zoningRuleZone || "";
+    row.maxUnitsAllowed = snapshot.maxUnitsAllowed || "";
+    row.daduEligible = snapshot.daduEligible || "";
     row.lat = snapshot.lat || (parcelCoord ? parcelCoord.lat : "");
     row.lon = snapshot.lon || (parcelCoord ? parcelCoord.lon : "");
 
@@ -1340,6 +1556,8 @@ async function main() {
     row.listPriceAtPending = list > 0 ? String(list) : "";
     row.closePrice = "";
     row.assessedValue = snapshot.assessedValue || "";
+    row.landValue = snapshot.landValue || "";
+    row.improvementValue = snapshot.improvementValue || "";
     row.beds = c.beds > 0 ? String(c.beds) : (snapshot.beds || "");
     row.baths = c.baths > 0 ? String(c.baths) : (snapshot.baths || "");
     row.sqft = c.sqft > 0 ? String(c.sqft) : (snapshot.sqft || "");
@@ -1350,6 +1568,9 @@ async function main() {
     row.subArea = snapshot.subArea || "";
     row.sqFtLot = snapshot.sqFtLot || "";
     row.zoning = snapshot.zoning || "";
+    row.zoningRuleZone = snapshot.zoningRuleZone || "";
+    row.maxUnitsAllowed = snapshot.maxUnitsAllowed || "";
+    row.daduEligible = snapshot.daduEligible || "";
     row.lat = snapshot.lat || (parcelCoord ? parcelCoord.lat : "");
     row.lon = snapshot.lon || (parcelCoord ? parcelCoord.lon : "");
 
@@ -1383,12 +1604,15 @@ async function main() {
   });
   fs.writeFileSync(OUTPUT_FILE, `${lines.join("\n")}\n`);
 
+  const joinAudit = buildJoinAudit(rows, mlsClosedRows, matchesByUid);
   const report = {
     generatedAt: new Date().toISOString(),
     source: {
       baseFile: path.basename(BASE_FILE),
       realtorDir: path.basename(REALTOR_DIR),
       realtorFiles: realtorFiles.map((f) => f.file),
+      realtorProfilesVersion: profileConfig.version,
+      realtorFileProfiles: realtorFiles.map((f) => ({ file: f.file, profile: f.profile || "", detection: f.detection || "" })),
     },
     counts: {
       mlsRowsParsed: rawMlsRows.length,
@@ -1399,6 +1623,7 @@ async function main() {
       mlsApnConflictRows: dedupedMls.counts.apnConflictRowCount,
       mlsRowsWithResolvedApn: resolvedMlsRows.length,
       mlsRowsMissingApn: unresolvedMlsRows.length,
+      mlsRowsApnReview: apnReviewRows,
       mlsClosedRows: mlsClosedRows.length,
       mlsActiveRows: mlsActiveRows.length,
       mlsOpenStatusRows: mlsOpenRows.length,
@@ -1408,16 +1633,44 @@ async function main() {
       mlsOnlySoldRowsAdded: mlsOnlyAdded,
       mlsOnlyOpenRowsAdded: mlsOpenAdded,
       outputRows: finalRows.length,
+      mlsSnapshotListings: snapshotRows.length,
+      mlsSnapshotsArchived: snapshotArchive.snapshotCount,
+      mlsStatusHistoryRows: snapshotArchive.historyRows,
+      mlsStatusChanges: snapshotArchive.statusChanges,
+      mlsBackOnMarketListings: marketEventCounts.backOnMarket,
+      mlsRelistedListings: marketEventCounts.relisted,
     },
     apnResolution: apnResolutionCounts,
     outputs: {
       enrichedCsv: path.basename(OUTPUT_FILE),
+      apnReviewCsv: path.basename(APN_REVIEW_FILE),
+      joinAuditJson: path.basename(JOIN_AUDIT_FILE),
+      joinAuditCsv: path.basename(JOIN_AUDIT_CSV_FILE),
+      snapshotCsv: path.relative(PROJECT_DIR, snapshotArchive.snapshotFile),
+      statusHistoryCsv: path.basename(STATUS_HISTORY_FILE),
+    },
+    joinAudit: {
+      tolerances: joinAudit.tolerances,
+      summary: joinAudit.summary,
     },
   };
+  writeJoinAudit(joinAudit, report.generatedAt);
   writeRefreshReport(report);
+  if (!process.env.MLS_OUTPUT_FILE) {
+    writeManifestSection("mlsEnriched", {
+      generatedAt: report.generatedAt,
+      baseFile: path.relative(path.dirname(MANIFEST_FILE), BASE_FILE),
+      file: path.relative(path.dirname(MANIFEST_FILE), OUTPUT_FILE),
+      rows: finalRows.length,
+    });
+  }
 
   // eslint-disable-next-line no-console
   console.log(`Realtor files loaded: ${realtorFiles.length}`);
+  realtorFiles.forEach((f) => {
+    // eslint-disable-next-line no-console
+    console.log(`  ${f.file}: ${f.profile || "skipped (empty)"}${f.detection === "override" ? " (override)" : ""}`);
+  });
   // eslint-disable-next-line no-console
   console.log(`MLS rows parsed: ${rawMlsRows.length}`);
   // eslint-disable-next-line no-console
@@ -1435,6 +1688,8 @@ async function main() {
   // eslint-disable-next-line no-console
   console.log(`MLS rows still missing APN: ${unresolvedMlsRows.length}`);
   // eslint-disable-next-line no-console
+  console.log(`MLS rows sent to APN review (${path.basename(APN_REVIEW_FILE)}): ${apnReviewRows}`);
+  // eslint-disable-next-line no-console
   console.log(`MLS closed rows: ${mlsClosedRows.length}`);
   // eslint-disable-next-line no-console
   console.log(`MLS active rows: ${mlsActiveRows.length}`);
@@ -1458,6 +1713,14 @@ async function main() {
   console.log(`Output: ${OUTPUT_FILE}`);
   // eslint-disable-next-line no-console
   console.log(`Refresh report: ${REPORT_FILE}`);
+  // eslint-disable-next-line no-console
+  console.log(`Join audit: ${JOIN_AUDIT_FILE} (${joinAudit.rows.length} rows)`);
+  // eslint-disable-next-line no-console
+  console.log(`Listing snapshot: ${snapshotArchive.snapshotFile} (${snapshotRows.length} listings, ${snapshotArchive.snapshotCount} snapshots archived)`);
+  // eslint-disable-next-line no-console
+  console.log(`Status history: ${STATUS_HISTORY_FILE} (${snapshotArchive.historyRows} rows, ${snapshotArchive.statusChanges} status changes)`);
+  // eslint-disable-next-line no-console
+  console.log(`Back-on-market listings: ${marketEventCounts.backOnMarket}; relisted listings: ${marketEventCounts.relisted}`);
 }
 
 if (require.main === module) {
@@ -1469,15 +1732,20 @@ if (require.main === module) {
 }
 
 module.exports = {
+  buildJoinAudit,
   canonicalAddressKey,
   canonicalMlsStreet,
   canonicalMlsStreetNoUnit,
+  chooseBestMatch,
   dedupeRealtorRows,
+  evaluateSaleCandidate,
   findHeaderIndex,
   MLS_ENRICHMENT_COLUMNS,
   normalizeBooleanText,
   normalizeAddressText,
+  listingSnapshotRows,
   normalizeThirdPartyApproval,
+  readRealtorRows,
   regionFromFilename,
   resolveRealtorApns,
   stripTrailingUnit,
@@ -3,35 +3,11 @@
 
 const fs = require("fs");
 const path = require("path");
-const readline = require("readline");
+const { readCsvRecords } = require("./csv_parser");
 
 const PROJECT_DIR = path.resolve(__dirname, "..");
 const DEFAULT_OUT = path.join(PROJECT_DIR, "parcel_coords_major_minor.csv");
 
-function parseCsvLine(line) {
-  const out = [];
-  let cur = "";
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i += 1) {
-    const ch = line[i];
-    if (ch === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        cur += '"';
-        i += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (ch === "," && !inQuotes) {
-      out.push(cur);
-      cur = "";
-    } else {
-      cur += ch;
-    }
-  }
-  out.push(cur);
-  return out.map((v) => v.trim());
-}
-
 function clean(v) {
   return String(v || "").replace(/^"|"$/g, "").trim();
 }
@@ -113,9 +89,6 @@ async function main() {
     throw new Error(`Input not found: ${inputPath}`);
   }
 
-  const stream = fs.createReadStream(inputPath);
-  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
-
   let header = null;
   let idxMajor = -1;
   let idxMinor = -1;
@@ -124,10 +97,9 @@ async function main() {
   let idxLon = -1;
   const coordByKey = new Map();
 
-  for await (const line of rl) {
-    if (!line) continue;
+  for await (const cols of readCsvRecords(inputPath)) {
     if (!header) {
-      header = parseCsvLine(line).map((h) => clean(h));
+      header = cols.map((h) => clean(h));
       idxMajor = pickHeaderIndex(header, ["major"]);
       idxMinor = pickHeaderIndex(header, ["minor"]);
       idxParcel = pickHeaderIndex(header, [
@@ -146,7 +118,6 @@ async function main() {
       continue;
     }
 
-    const cols = parseCsvLine(line);
     const key = (idxMajor >= 0 && idxMinor >= 0)
       ? normalizeMajorMinor(cols[idxMajor], cols[idxMinor])
       : normalizeParcelNumber(idxParcel >= 0 ? cols[idxParcel] : "");
@@ -3,7 +3,12 @@
 
 const fs = require("fs");
 const path = require("path");
-const readline = require("readline");
+const { readCsvRecords } = require("./csv_parser");
+const {
+  MANIFEST_FILE,
+  writeManifestSection,
+} = require("./data_manifest");
+const { deriveZoningCapacity, loadZoningRules } = require("./zoning_rules");
 
 const PROJECT_DIR = path.resolve(__dirname, "..");
 const ACCOUNT_FILE = path.join(PROJECT_DIR, "EXTR_RPAcct_NoName.csv");
@@ -11,13 +16,17 @@ const SALES_FILE = path.join(PROJECT_DIR, "EXTR_RPSale.csv");
 const PARCEL_FILE = path.join(PROJECT_DIR, "EXTR_Parcel.csv");
 const RESBLDG_FILE = path.join(PROJECT_DIR, "EXTR_ResBldg.csv");
 const LOOKUP_FILE = path.join(PROJECT_DIR, "EXTR_LookUp.csv");
+const CONDO_UNIT_FILE = path.join(PROJECT_DIR, "EXTR_CondoUnit2.csv");
+const CONDO_COMPLEX_FILE = path.join(PROJECT_DIR, "EXTR_CondoComplex.csv");
 const PARCEL_COORDS_FILE = path.join(PROJECT_DIR, "parcel_coords_major_minor.csv");
-const OUTPUT_FILE = path.join(PROJECT_DIR, "public_sales_proxy_all_prices_last12mo.csv");
-const RANGE_END = new Date();
-RANGE_END.setHours(23, 59, 59, 999);
-const RANGE_START = new Date(RANGE_END);
-RANGE_START.setFullYear(RANGE_START.getFullYear() - 1);
-RANGE_START.setHours(0, 0, 0, 0);
+const OUTPUT_PREFIX = "public_sales_proxy_all_prices";
+const DEFAULT_HISTORY_MONTHS = 12;
+const MAX_HISTORY_MONTHS = 120;
+const SALE_LOOKUP_TYPES = { reason: "5", instrument: "6", warning: "102" };
+const NOMINAL_SALE_PRICE_MAX = 1000;
+const NON_MARKET_INSTRUMENT_PATTERN = /quit\s*claim|sheriff|trustee|tax deed|executor|personal rep|administrator|guardian|receiver|court|fulfillment|easement|lease|^none$/i;
+const NON_MARKET_REASON_PATTERN = /family|gift|executor|guardian|divorce|settlement|foreclos|deed in lieu|trust|tenancy|correction|exchange|easement|condemn|relocation|bankrupt|quit\s*claim/i;
+const NON_MARKET_WARNING_PATTERN = /related|relative|partial interest|undivided|foreclos|bankrupt|sheriff|receiver|trustee|executor|guardian|no market exposure|exempt|trade|exchange|government|quit\s*claim|financial institution|auction|easement|lease|forced|tenancy|non-representative/i;
 
 const ZIP_NEIGHBORHOOD = {
   "98101": "Downtown",
@@ -53,30 +62,6 @@ const ZIP_NEIGHBORHOOD = {
   "98194": "Downtown",
 };
 
-function parseCsvLine(line) {
-  const out = [];
-  let cur = "";
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i += 1) {
-    const ch = line[i];
-    if (ch === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        cur += '"';
-        i += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (ch === "," && !inQuotes) {
-      out.push(cur);
-      cur = "";
-    } else {
-      cur += ch;
-    }
-  }
-  out.push(cur);
-  return out.map((v) => v.trim());
-}
-
 function toIsoDate(mmddyyyy) {
   const [mm, dd, yyyy] = mmddyyyy.split("/");
   if (!mm || !dd || !yyyy) return "";
@@ -90,6 +75,93 @@ function toDate(mmddyyyy) {
   return Number.isNaN(d.getTime()) ? null : d;
 }
 
+function localIso(d) {
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+function parseIsoArg(value, flag) {
+  const m = String(value || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const d = m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+  if (!d || d.getMonth() !== Number(m[2]) - 1) throw new Error(`${flag} expects YYYY-MM-DD, got "${value || ""}"`);
+  return d;
+}
+
+function parseArgs(argv) {
+  const opts = { from: "", to: "", months: 0 };
+  const args = argv.slice(2);
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    const [flag, inline] = arg.split("=", 2);
+    const value = inline !== undefined ? inline : args[i + 1];
+    if (flag === "--from" || flag === "--to" || flag === "--months") {
+      if (inline === undefined) i += 1;
+      if (flag === "--months") {
+        const months = Number(value);
+        if (!Number.isInteger(months) || months < 1 || months > MAX_HISTORY_MONTHS) {
+          throw new Error(`--months expects a whole number from 1 to ${MAX_HISTORY_MONTHS}, got "${value || ""}"`);
+        }
+        opts.months = months;
+      } else {
+        opts[flag.slice(2)] = value || "";
+      }
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  if (opts.months && opts.from) throw new Error("Use either --months or --from, not both.");
+  return opts;
+}
+
+function resolveHistoryWindow(opts = {}, now = new Date()) {
+  const end = opts.to ? parseIsoArg(opts.to, "--to") : new Date(now);
+  end.setHours(23, 59, 59, 999);
+
+  let start;
+  let tag;
+  if (opts.from) {
+    start = parseIsoArg(opts.from, "--from");
+    tag = `${localIso(start)}_to_${localIso(end)}`;
+  } else {
+    const months = opts.months || DEFAULT_HISTORY_MONTHS;
+    start = new Date(end);
+    start.setMonth(start.getMonth() - months);
+    tag = opts.to ? `${months}mo_to_${localIso(end)}` : `last${months}mo`;
+  }
+  start.setHours(0, 0, 0, 0);
+  if (start > end) throw new Error(`History window start ${localIso(start)} is after end ${localIso(end)}`);
+
+  return {
+    start,
+    end,
+    startIso: localIso(start),
+    endIso: localIso(end),
+    outputName: `${OUTPUT_PREFIX}_${tag}.csv`,
+  };
+}
+
+function partitionName(year) {
+  return `${OUTPUT_PREFIX}_${year}.csv`;
+}
+
+// Year partitions always cover whole calendar years, so a trailing-window build
+// still rewrites every year it touches in full. The current year runs through `now`.
+function resolvePartitionRange(historyWindow, now = new Date()) {
+  const start = new Date(historyWindow.start.getFullYear(), 0, 1);
+  let end = new Date(historyWindow.end.getFullYear(), 11, 31, 23, 59, 59, 999);
+  if (end > now) {
+    end = new Date(now);
+    end.setHours(23, 59, 59, 999);
+  }
+  return { start, end, startIso: localIso(start), endIso: localIso(end) };
+}
+
+function partitionCoverage(year, partitionRange) {
+  const rangeEnd = year === partitionRange.end.getFullYear() ? partitionRange.endIso : `${year}-12-31`;
+  return { rangeStart: `${year}-01-01`, rangeEnd, complete: rangeEnd === `${year}-12-31` };
+}
+
 function num(v) {
   if (!v) return 0;
   const n = Number(String(v).replace(/[^0-9.-]/g, ""));
@@ -253,8 +325,6 @@ function validLatLon(lat, lon) {
 
 async function readParcelCoordsMap() {
   if (!fs.existsSync(PARCEL_COORDS_FILE)) return new Map();
-  const stream = fs.createReadStream(PARCEL_COORDS_FILE);
-  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
 
   let header = null;
   let idxMajor = -1;
@@ -264,10 +334,9 @@ async function readParcelCoordsMap() {
   let idxLon = -1;
   const out = new Map();
 
-  for await (const line of rl) {
-    if (!line) continue;
+  for await (const cols of readCsvRecords(PARCEL_COORDS_FILE)) {
     if (!header) {
-      header = parseCsvLine(line).map((h) => clean(h));
+      header = cols.map((h) => clean(h));
       idxMajor = pickHeaderIndex(header, ["major"]);
       idxMinor = pickHeaderIndex(header, ["minor"]);
       idxParcel = pickHeaderIndex(header, [
@@ -283,7 +352,6 @@ async function readParcelCoordsMap() {
       continue;
     }
 
-    const cols = parseCsvLine(line);
     const key = (idxMajor >= 0 && idxMinor >= 0)
       ? normalizeMajorMinor(cols[idxMajor], cols[idxMinor])
       : normalizeParcelNumber(idxParcel >= 0 ? cols[idxParcel] : "");
@@ -300,19 +368,14 @@ async function readParcelCoordsMap() {
 
 async function readPropertyTypeMap() {
   if (!fs.existsSync(LOOKUP_FILE)) return new Map();
-  const stream = fs.createReadStream(LOOKUP_FILE);
-  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
 
   let idx = null;
   const map = new Map();
-  for await (const line of rl) {
-    if (!line) continue;
+  for await (const cols of readCsvRecords(LOOKUP_FILE)) {
     if (!idx) {
-      const header = parseCsvLine(line);
-      idx = Object.fromEntries(header.map((h, i) => [clean(h), i]));
+      idx = Object.fromEntries(cols.map((h, i) => [clean(h), i]));
       continue;
     }
-    const cols = parseCsvLine(line);
     const luType = clean(cols[idx.LUType]);
     if (luType !== "1") continue;
     const luItem = clean(cols[idx.LUItem]);
@@ -323,23 +386,75 @@ async function readPropertyTypeMap() {
   return map;
 }
 
+async function readSaleLookupMaps() {
+  const maps = { reason: new Map(), instrument: new Map(), warning: new Map() };
+  if (!fs.existsSync(LOOKUP_FILE)) return maps;
+  const typeToKey = new Map(Object.entries(SALE_LOOKUP_TYPES).map(([key, type]) => [type, key]));
+
+  let idx = null;
+  for await (const cols of readCsvRecords(LOOKUP_FILE)) {
+    if (!idx) {
+      idx = Object.fromEntries(cols.map((h, i) => [clean(h), i]));
+      continue;
+    }
+    const key = typeToKey.get(String(Number(clean(cols[idx.LUType]))));
+    if (!key) continue;
+    const luItem = clean(cols[idx.LUItem]);
+    const desc = clean(cols[idx.LUDescription]);
+    if (!luItem || !desc) continue;
+    maps[key].set(String(Number(luItem)), desc);
+  }
+  return maps;
+}
+
+function qualificationToken(prefix, text) {
+  const slug = String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 40);
+  return slug ? `${prefix}_${slug}` : prefix;
+}
+
+function classifySaleQualification(sale, lookups) {
+  const tokens = [];
+  const codeKey = (v) => {
+    const n = Number(clean(v));
+    return Number.isFinite(n) && n > 0 ? String(n) : "";
+  };
+
+  if (!(Number(sale.salePrice) >= NOMINAL_SALE_PRICE_MAX)) tokens.push("nominal_price");
+
+  const instrument = lookups.instrument.get(codeKey(sale.instrument)) || "";
+  if (instrument && NON_MARKET_INSTRUMENT_PATTERN.test(instrument)) tokens.push(qualificationToken("instrument", instrument));
+
+  const reason = lookups.reason.get(codeKey(sale.reason)) || "";
+  if (reason && NON_MARKET_REASON_PATTERN.test(reason)) tokens.push(qualificationToken("reason", reason));
+
+  String(sale.warning || "")
+    .split(/[\s,;]+/)
+    .map(codeKey)
+    .filter(Boolean)
+    .forEach((code) => {
+      const warning = lookups.warning.get(code) || "";
+      if (warning && NON_MARKET_WARNING_PATTERN.test(warning)) tokens.push(qualificationToken("warning", warning));
+    });
+
+  const unique = [...new Set(tokens)];
+  return unique.length ? ["excluded", ...unique].join("|") : "qualified";
+}
+
 async function readParcelMap() {
   if (!fs.existsSync(PARCEL_FILE)) return new Map();
 
-  const stream = fs.createReadStream(PARCEL_FILE);
-  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
-
   let idx = null;
   const map = new Map();
-  for await (const line of rl) {
-    if (!line) continue;
+  for await (const cols of readCsvRecords(PARCEL_FILE)) {
     if (!idx) {
-      const header = parseCsvLine(line);
-      idx = Object.fromEntries(header.map((h, i) => [clean(h), i]));
+      idx = Object.fromEntries(cols.map((h, i) => [clean(h), i]));
       continue;
     }
 
-    const cols = parseCsvLine(line);
     const major = clean(cols[idx.Major]);
     const minor = clean(cols[idx.Minor]);
     const district = clean(cols[idx.DistrictName]).toUpperCase();
@@ -361,20 +476,14 @@ async function readParcelMap() {
 async function readResBldgMap() {
   if (!fs.existsSync(RESBLDG_FILE)) return new Map();
 
-  const stream = fs.createReadStream(RESBLDG_FILE);
-  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
-
   let idx = null;
   const map = new Map();
-  for await (const line of rl) {
-    if (!line) continue;
+  for await (const cols of readCsvRecords(RESBLDG_FILE)) {
     if (!idx) {
-      const header = parseCsvLine(line);
-      idx = Object.fromEntries(header.map((h, i) => [clean(h), i]));
+      idx = Object.fromEntries(cols.map((h, i) => [clean(h), i]));
       continue;
     }
 
-    const cols = parseCsvLine(line);
     const key = `${clean(cols[idx.Major])}-${clean(cols[idx.Minor])}`;
     const rawAddress = clean(cols[idx.Address]);
     const bldgZip = zip5(clean(cols[idx.ZipCode]) || rawAddress);
@@ -383,6 +492,7 @@ async function readResBldgMap() {
       baths: num(cols[idx.BathFullCount]) + (num(cols[idx.Bath3qtrCount]) * 0.75) + (num(cols[idx.BathHalfCount]) * 0.5),
       sqft: num(cols[idx.SqFtTotLiving]),
       yearBuilt: num(cols[idx.YrBuilt]),
+      yearRenovated: num(cols[idx.YrRenovated]),
       situsAddress: normalizeSitusAddress(rawAddress),
       situsZip: bldgZip,
     };
@@ -396,22 +506,109 @@ async function readResBldgMap() {
   return map;
 }
 
+async function readCondoComplexMap() {
+  if (!fs.existsSync(CONDO_COMPLEX_FILE)) return new Map();
+
+  let idx = null;
+  const map = new Map();
+  for await (const cols of readCsvRecords(CONDO_COMPLEX_FILE)) {
+    if (!idx) {
+      idx = {
+        major: pickHeaderIndex(cols, ["Major"]),
+        name: pickHeaderIndex(cols, ["ComplexDescr", "ComplexName", "Name"]),
+        units: pickHeaderIndex(cols, ["NbrUnits", "Units"]),
+        stories: pickHeaderIndex(cols, ["NbrStories", "Stories"]),
+        yearBuilt: pickHeaderIndex(cols, ["YrBuilt", "YearBuilt"]),
+        address: pickHeaderIndex(cols, ["Address", "SitusAddress"]),
+        zip: pickHeaderIndex(cols, ["ZipCode", "Zip"]),
+      };
+      continue;
+    }
+
+    const major = clean(cols[idx.major]);
+    if (!major) continue;
+    const rawAddress = idx.address >= 0 ? clean(cols[idx.address]) : "";
+    map.set(major, {
+      complexName: normalizeSpace(idx.name >= 0 ? clean(cols[idx.name]) : ""),
+      unitCount: idx.units >= 0 ? num(cols[idx.units]) : 0,
+      stories: idx.stories >= 0 ? num(cols[idx.stories]) : 0,
+      yearBuilt: idx.yearBuilt >= 0 ? num(cols[idx.yearBuilt]) : 0,
+      situsAddress: normalizeSitusAddress(rawAddress),
+      situsZip: zip5((idx.zip >= 0 ? clean(cols[idx.zip]) : "") || rawAddress),
+    });
+  }
+  return map;
+}
+
+async function readCondoUnitMap(complexMap) {
+  if (!fs.existsSync(CONDO_UNIT_FILE)) return new Map();
+
+  let idx = null;
+  const map = new Map();
+  for await (const cols of readCsvRecords(CONDO_UNIT_FILE)) {
+    if (!idx) {
+      idx = {
+        major: pickHeaderIndex(cols, ["Major"]),
+        minor: pickHeaderIndex(cols, ["Minor"]),
+        unitNbr: pickHeaderIndex(cols, ["UnitNbr", "UnitNumber"]),
+        floor: pickHeaderIndex(cols, ["LevelNbr", "Floor", "FloorNbr"]),
+        sqft: pickHeaderIndex(cols, ["Footage", "SqFtFootage", "LivingArea"]),
+        bedrooms: pickHeaderIndex(cols, ["NbrBedrooms", "Bedrooms"]),
+        bathFull: pickHeaderIndex(cols, ["BathFullCount"]),
+        bath3qtr: pickHeaderIndex(cols, ["Bath3qtrCount"]),
+        bathHalf: pickHeaderIndex(cols, ["BathHalfCount"]),
+      };
+      continue;
+    }
+
+    const major = clean(cols[idx.major]);
+    const minor = clean(cols[idx.minor]);
+    if (!major || !minor) continue;
+    const complex = complexMap.get(major) || {};
+    const unitNbr = idx.unitNbr >= 0 ? normalizeSpace(clean(cols[idx.unitNbr])) : "";
+    const pick = (i) => (i >= 0 ? num(cols[i]) : 0);
+    map.set(`${major}-${minor}`, {
+      bedrooms: pick(idx.bedrooms),
+      baths: pick(idx.bathFull) + (pick(idx.bath3qtr) * 0.75) + (pick(idx.bathHalf) * 0.5),
+      sqft: pick(idx.sqft),
+      yearBuilt: complex.yearBuilt || 0,
+      situsAddress: complex.situsAddress && unitNbr ? `${complex.situsAddress} UNIT ${unitNbr}` : (complex.situsAddress || ""),
+      situsZip: complex.situsZip || "",
+      condoFloor: idx.floor >= 0 ? clean(cols[idx.floor]) : "",
+      condoUnitNbr: unitNbr,
+      condoComplexName: complex.complexName || "",
+      condoComplexUnits: complex.unitCount || 0,
+    });
+  }
+  return map;
+}
+
+function mergeCondoUnits(resBldgMap, condoUnitMap) {
+  let merged = 0;
+  condoUnitMap.forEach((unit, key) => {
+    const current = resBldgMap.get(key);
+    if (current && current.sqft > 0) return;
+    resBldgMap.set(key, {
+      ...unit,
+      situsAddress: unit.situsAddress || current?.situsAddress || "",
+      situsZip: unit.situsZip || current?.situsZip || "",
+    });
+    merged += 1;
+  });
+  return merged;
+}
+
 async function buildSeattleAccountMap(parcelMap) {
   const areaSubCounts = new Map();
 
   // Pass 1: learn neighborhood label by (area, subArea) from rows with explicitly mapped Seattle ZIPs.
   {
-    const stream = fs.createReadStream(ACCOUNT_FILE);
-    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
     let idx = null;
-    for await (const line of rl) {
-      if (!line) continue;
+    for await (const cols of readCsvRecords(ACCOUNT_FILE)) {
       if (!idx) {
-        const header = parseCsvLine(line);
-        idx = Object.fromEntries(header.map((h, i) => [clean(h), i]));
+        idx = Object.fromEntries(cols.map((h, i) => [clean(h), i]));
         continue;
       }
-      const cols = parseCsvLine(line);
       const major = clean(cols[idx.Major]);
       const minor = clean(cols[idx.Minor]);
       const key = `${major}-${minor}`;
@@ -437,20 +634,15 @@ async function buildSeattleAccountMap(parcelMap) {
   }
 
   // Pass 2: build account map using area/subArea-derived neighborhood where available.
-  const stream = fs.createReadStream(ACCOUNT_FILE);
-  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
 
   let idx = null;
   const map = new Map();
-  for await (const line of rl) {
-    if (!line) continue;
+  for await (const cols of readCsvRecords(ACCOUNT_FILE)) {
     if (!idx) {
-      const header = parseCsvLine(line);
-      idx = Object.fromEntries(header.map((h, i) => [clean(h), i]));
+      idx = Object.fromEntries(cols.map((h, i) => [clean(h), i]));
       continue;
     }
 
-    const cols = parseCsvLine(line);
     const major = clean(cols[idx.Major]);
     const minor = clean(cols[idx.Minor]);
     const key = `${major}-${minor}`;
@@ -479,6 +671,8 @@ async function buildSeattleAccountMap(parcelMap) {
     if (!existing || assessed > existing.assessedValue) {
       map.set(key, {
         assessedValue: assessed,
+        landValue: apprLand,
+        improvementValue: apprImps,
         mailingLine: addr,
         mailingCityState: cityState,
         mailingZip: zip5(zip),
@@ -496,31 +690,98 @@ async function buildSeattleAccountMap(parcelMap) {
   return map;
 }
 
-async function buildOutput(accountMap, resBldgMap, typeMap, coordsMap) {
-  const stream = fs.createReadStream(SALES_FILE);
-  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
-  const out = fs.createWriteStream(OUTPUT_FILE);
+const OUTPUT_HEADER = [
+  "dataMode","id","address","neighborhood","type","typeCode",
+  "addressSource","major","minor","parcelNbr",
+  "listDate","pendingDate","saleDate","listPriceAtPending","closePrice","assessedValue","landValue","improvementValue","saleQualification",
+  "saleParcelCount","salePriceTotal","priceAllocation",
+  "beds","baths","sqft","yearBuilt","zip","districtName","area","subArea","sqFtLot","zoning",
+  "zoningRuleZone","maxUnitsAllowed","daduEligible",
+  "condoComplexName","condoFloor","condoComplexUnits",
+  "lat","lon"
+].join(",");
+
+async function readExciseParcelGroups(range) {
+  let idx = null;
+  const groups = new Map();
+  for await (const cols of readCsvRecords(SALES_FILE)) {
+    if (!idx) {
+      idx = Object.fromEntries(cols.map((h, i) => [clean(h), i]));
+      continue;
+    }
+    const excise = clean(cols[idx.ExciseTaxNbr]);
+    if (!excise || Number(excise) === 0) continue;
+    const docDate = toDate(clean(cols[idx.DocumentDate]));
+    if (!docDate || docDate < range.start || docDate > range.end) continue;
+    const key = `${clean(cols[idx.Major])}-${clean(cols[idx.Minor])}`;
+    if (!groups.has(excise)) groups.set(excise, new Set());
+    groups.get(excise).add(key);
+  }
+
+  const multi = new Map();
+  groups.forEach((keys, excise) => {
+    if (keys.size > 1) multi.set(excise, [...keys]);
+  });
+  return multi;
+}
+
+function allocateMultiParcelPrice(salePrice, ownKey, groupKeys, accountMap) {
+  if (!groupKeys || groupKeys.length <= 1) {
+    return { closePrice: salePrice, parcelCount: 1, allocation: "single" };
+  }
+  const values = groupKeys.map((k) => Number(accountMap.get(k)?.assessedValue || 0));
+  const own = Number(accountMap.get(ownKey)?.assessedValue || 0);
+  const total = values.reduce((sum, v) => sum + v, 0);
+  if (own > 0 && values.every((v) => v > 0)) {
+    return {
+      closePrice: salePrice * (own / total),
+      parcelCount: groupKeys.length,
+      allocation: "assessed_share",
+    };
+  }
+  return { closePrice: salePrice, parcelCount: groupKeys.length, allocation: "unallocated" };
+}
+
+// Each parcel split from a multi-parcel excise gets its own row id so downstream
+// joins and map keys do not collapse them.
+function saleRowId(excise, major, minor, priced) {
+  if (!excise) return `${major}${minor}`;
+  return priced.parcelCount > 1 ? `${excise}-${major}${minor}` : excise;
+}
+
+function endStream(stream) {
+  return new Promise((resolve, reject) => {
+    stream.on("error", reject);
+    stream.end(resolve);
+  });
+}
 
-  out.write([
-    "dataMode","id","address","neighborhood","type","typeCode",
-    "addressSource","major","minor","parcelNbr",
-    "listDate","pendingDate","saleDate","listPriceAtPending","closePrice","assessedValue",
-    "beds","baths","sqft","yearBuilt","zip","districtName","area","subArea","sqFtLot","zoning",
-    "lat","lon"
-  ].join(",") + "\n");
+async function buildOutput(accountMap, resBldgMap, typeMap, coordsMap, saleLookups, exciseGroups, historyWindow, partitionRange, zoningRules) {
+  const out = fs.createWriteStream(path.join(PROJECT_DIR, historyWindow.outputName));
+  out.write(`${OUTPUT_HEADER}\n`);
+
+  const partitions = new Map();
+  const partitionFor = (year) => {
+    if (!partitions.has(year)) {
+      const file = partitionName(year);
+      const partOut = fs.createWriteStream(path.join(PROJECT_DIR, file));
+      partOut.write(`${OUTPUT_HEADER}\n`);
+      partitions.set(year, { year, file, out: partOut, rows: 0 });
+    }
+    return partitions.get(year);
+  };
 
   let idx = null;
   let written = 0;
   let withCoords = 0;
-  for await (const line of rl) {
-    if (!line) continue;
+  let excluded = 0;
+  let multiParcel = 0;
+  for await (const cols of readCsvRecords(SALES_FILE)) {
     if (!idx) {
-      const header = parseCsvLine(line);
-      idx = Object.fromEntries(header.map((h, i) => [clean(h), i]));
+      idx = Object.fromEntries(cols.map((h, i) => [clean(h), i]));
       continue;
     }
 
-    const cols = parseCsvLine(line);
     const major = clean(cols[idx.Major]);
     const minor = clean(cols[idx.Minor]);
     const key = `${major}-${minor}`;
@@ -531,13 +792,16 @@ async function buildOutput(accountMap, resBldgMap, typeMap, coordsMap) {
     const salePrice = num(cols[idx.SalePrice]);
     const docDateRaw = clean(cols[idx.DocumentDate]);
     const docDate = toDate(docDateRaw);
-    if (!docDate || docDate < RANGE_START || docDate > RANGE_END) continue;
+    if (!docDate || docDate < partitionRange.start || docDate > partitionRange.end) continue;
+    const inWindow = docDate >= historyWindow.start && docDate <= historyWindow.end;
 
-    const id = clean(cols[idx.ExciseTaxNbr]) || `${major}${minor}`;
+    const excise = clean(cols[idx.ExciseTaxNbr]);
+    const priced = allocateMultiParcelPrice(salePrice, key, exciseGroups.get(excise), accountMap);
+    const id = saleRowId(excise, major, minor, priced);
+    if (priced.parcelCount > 1 && inWindow) multiParcel += 1;
     const typeCode = clean(cols[idx.PropertyType]) || "";
     const type = typeMap.get(String(Number(typeCode))) || (typeCode ? `Type ${typeCode}` : "Unknown");
     const iso = toIsoDate(docDateRaw);
-    const listPriceAtPending = account.assessedValue;
     const bldg = resBldgMap.get(key) || { bedrooms: 0, baths: 0, sqft: 0, yearBuilt: 0, situsAddress: "", situsZip: "" };
     const chosen = chooseAddress(account, bldg);
     const candidateZip = chosen.zip || account.zip;
@@ -550,7 +814,20 @@ async function buildOutput(accountMap, resBldgMap, typeMap, coordsMap) {
     const displayZip = (addressTrusted && zip5(candidateZip).startsWith("981")) ? candidateZip : "";
     const parcelNbr = `${major}${minor}`;
     const coord = coordsMap.get(key) || null;
-    if (coord) withCoords += 1;
+    if (coord && inWindow) withCoords += 1;
+    let saleQualification = classifySaleQualification({
+      salePrice,
+      instrument: cols[idx.SaleInstrument],
+      reason: cols[idx.SaleReason],
+      warning: cols[idx.SaleWarning],
+    }, saleLookups);
+    if (priced.allocation === "unallocated") {
+      saleQualification = saleQualification === "qualified"
+        ? "excluded|multi_parcel_unallocated"
+        : `${saleQualification}|multi_parcel_unallocated`;
+    }
+    if (saleQualification !== "qualified" && inWindow) excluded += 1;
+    const capacity = deriveZoningCapacity(account.zoning, account.sqFtLot, zoningRules);
 
     const row = [
       "PUBLIC_PROXY",
@@ -566,9 +843,15 @@ async function buildOutput(accountMap, resBldgMap, typeMap, coordsMap) {
       iso,
       iso,
       iso,
-      String(Math.round(listPriceAtPending)),
-      String(Math.round(salePrice)),
+      "",
+      String(Math.round(priced.closePrice)),
       String(Math.round(account.assessedValue)),
+      String(Math.round(account.landValue || 0)),
+      String(Math.round(account.improvementValue || 0)),
+      saleQualification,
+      String(priced.parcelCount),
+      String(Math.round(salePrice)),
+      priced.allocation,
       String(Math.round(bldg.bedrooms)),
       String(Number.isFinite(bldg.baths) ? bldg.baths.toFixed(2) : "0"),
       String(Math.round(bldg.sqft)),
@@ -579,34 +862,98 @@ async function buildOutput(accountMap, resBldgMap, typeMap, coordsMap) {
       account.subArea,
       String(Math.round(account.sqFtLot || 0)),
       account.zoning,
+      capacity.zoningRuleZone,
+      String(capacity.maxUnitsAllowed),
+      capacity.daduEligible,
+      bldg.condoComplexName || "",
+      bldg.condoFloor || "",
+      bldg.condoComplexUnits ? String(Math.round(bldg.condoComplexUnits)) : "",
       coord ? String(coord.lat) : "",
       coord ? String(coord.lon) : "",
     ].map(safeCsv).join(",");
 
+    const partition = partitionFor(docDate.getFullYear());
+    partition.out.write(`${row}\n`);
+    partition.rows += 1;
+    if (!inWindow) continue;
     out.write(`${row}\n`);
     written += 1;
   }
 
-  out.end();
-  return { written, withCoords };
+  await endStream(out);
+  const partitionSummary = [];
+  for (const partition of [...partitions.values()].sort((a, b) => a.year - b.year)) {
+    await endStream(partition.out);
+    partitionSummary.push({
+      year: partition.year,
+      file: partition.file,
+      rows: partition.rows,
+      ...partitionCoverage(partition.year, partitionRange),
+    });
+  }
+  return { written, withCoords, excluded, multiParcel, partitions: partitionSummary };
 }
 
 async function main() {
+  const historyWindow = resolveHistoryWindow(parseArgs(process.argv));
   if (!fs.existsSync(ACCOUNT_FILE)) throw new Error(`Missing file: ${ACCOUNT_FILE}`);
   if (!fs.existsSync(SALES_FILE)) throw new Error(`Missing file: ${SALES_FILE}`);
 
   const parcelMap = await readParcelMap();
   const resBldgMap = await readResBldgMap();
+  const condoUnitMap = await readCondoUnitMap(await readCondoComplexMap());
+  const condoUnitsMerged = mergeCondoUnits(resBldgMap, condoUnitMap);
   const typeMap = await readPropertyTypeMap();
+  const saleLookups = await readSaleLookupMaps();
   const coordsMap = await readParcelCoordsMap();
   const accountMap = await buildSeattleAccountMap(parcelMap);
-  const result = await buildOutput(accountMap, resBldgMap, typeMap, coordsMap);
+  const partitionRange = resolvePartitionRange(historyWindow);
+  const exciseGroups = await readExciseParcelGroups(partitionRange);
+  const zoningRules = loadZoningRules();
+  const result = await buildOutput(accountMap, resBldgMap, typeMap, coordsMap, saleLookups, exciseGroups, historyWindow, partitionRange, zoningRules);
+  writeManifestSection("publicProxy", {
+    generatedAt: new Date().toISOString(),
+    rangeStart: historyWindow.startIso,
+    rangeEnd: historyWindow.endIso,
+    file: historyWindow.outputName,
+    rows: result.written,
+    rowsWithCoords: result.withCoords,
+    rowsNonQualified: result.excluded,
+    rowsMultiParcel: result.multiParcel,
+    partitions: result.partitions,
+    zoningRulesVersion: zoningRules.version,
+  });
+  // eslint-disable-next-line no-console
+  console.log(`Wrote ${result.written} rows to ${historyWindow.outputName} for ${historyWindow.startIso} to ${historyWindow.endIso} (rows with coords: ${result.withCoords}, non-qualified sales: ${result.excluded}, multi-parcel rows: ${result.multiParcel})`);
   // eslint-disable-next-line no-console
-  console.log(`Wrote ${result.written} rows to ${OUTPUT_FILE} (rows with coords: ${result.withCoords})`);
+  console.log(`Condo units joined: ${condoUnitsMerged} of ${condoUnitMap.size}`);
+  // eslint-disable-next-line no-console
+  console.log(`Year partitions: ${result.partitions.map((p) => `${p.file} (${p.rows}${p.complete ? "" : `, through ${p.rangeEnd}`})`).join(", ") || "none"}; manifest ${path.basename(MANIFEST_FILE)} updated`);
 }
 
-main().catch((err) => {
-  // eslint-disable-next-line no-console
-  console.error(err.message);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((err) => {
+    // eslint-disable-next-line no-console
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  SALES_FILE,
+  allocateMultiParcelPrice,
+  buildSeattleAccountMap,
+  classifySaleQualification,
+  mergeCondoUnits,
+  parseArgs,
+  partitionCoverage,
+  partitionName,
+  readParcelMap,
+  readPropertyTypeMap,
+  readResBldgMap,
+  readSaleLookupMaps,
+  resolveHistoryWindow,
+  resolvePartitionRange,
+  saleRowId,
+  toIsoDate,
+};
@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { readCsvRecords } = require("./csv_parser");
+const { readManifest, writeManifestSection } = require("./data_manifest");
+const { solveLinear } = require("./bid_model");
+const { labelNeighborhood, labelType } = require("./row_normalize");
+const {
+  SALES_FILE,
+  buildSeattleAccountMap,
+  classifySaleQualification,
+  readParcelMap,
+  readPropertyTypeMap,
+  readResBldgMap,
+  readSaleLookupMaps,
+  toIsoDate,
+} = require("./build_public_proxy_csv");
+
+const PROJECT_DIR = path.resolve(__dirname, "..");
+const OUTPUT_FILE = path.resolve(process.env.REPEAT_SALES_INDEX_FILE || path.join(PROJECT_DIR, "repeat_sales_index.json"));
+const REPEAT_SALES_YEARS = Number(process.env.REPEAT_SALES_YEARS) || 10;
+const MIN_HOLD_MONTHS = 6;
+// A pair moving more than ~65% a year (in log terms 0.5) is almost always a data
+// error or an unrecorded change to the property.
+const MAX_ANNUAL_LOG_CHANGE = 0.5;
+const MAX_SQFT_CHANGE_PCT = 0.2;
+const MIN_SERIES_PAIRS = 40;
+const INDEX_SMOOTHING = 10;
+
+function monthIndex(iso) {
+  const [y, m] = String(iso || "").slice(0, 7).split("-").map(Number);
+  return y * 12 + m - 1;
+}
+
+function monthKey(index) {
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, "0")}`;
+}
+
+function saleYear(iso) {
+  return Number(String(iso || "").slice(0, 4));
+}
+
+// `first` and `second` carry the sqft / year built recorded at each sale (0 when
+// unknown); `building` is the current county building record.
+function remodelReason(first, second, building = {}) {
+  const firstYear = saleYear(first.saleDate);
+  const secondYear = saleYear(second.saleDate);
+  if (building.yearBuilt > firstYear) return "built_after_first_sale";
+  if (building.yearRenovated && building.yearRenovated >= firstYear && building.yearRenovated <= secondYear) {
+    return "renovated_between_sales";
+  }
+  const firstSqft = first.sqft || 0;
+  const secondSqft = second.sqft || building.sqft || 0;
+  if (firstSqft > 0 && secondSqft > 0 && Math.abs(secondSqft - firstSqft) / Math.min(firstSqft, secondSqft) > MAX_SQFT_CHANGE_PCT) {
+    return "sqft_changed";
+  }
+  const firstBuilt = first.yearBuilt || 0;
+  const secondBuilt = second.yearBuilt || building.yearBuilt || 0;
+  if (firstBuilt > 0 && secondBuilt > 0 && firstBuilt !== secondBuilt) return "year_built_changed";
+  return "";
+}
+
+// Consecutive qualified sales of the same parcel. Each parcel is
+// { neighborhood, type, building, sales: [{ saleDate, price, sqft, yearBuilt }] }.
+function findRepeatSalePairs(parcels, options = {}) {
+  const startMonth = options.startMonth ?? -Infinity;
+  const minHoldMonths = options.minHoldMonths ?? MIN_HOLD_MONTHS;
+  const maxAnnualLogChange = options.maxAnnualLogChange ?? MAX_ANNUAL_LOG_CHANGE;
+  const pairs = [];
+  const dropped = {};
+  const drop = (reason) => { dropped[reason] = (dropped[reason] || 0) + 1; };
+
+  for (const parcel of parcels) {
+    const sales = parcel.sales
+      .filter((s) => s.price > 0 && s.saleDate)
+      .sort((a, b) => a.saleDate.localeCompare(b.saleDate));
+    for (let i = 1; i < sales.length; i += 1) {
+      const first = sales[i - 1];
+      const second = sales[i];
+      const firstMonth = monthIndex(first.saleDate);
+      const secondMonth = monthIndex(second.saleDate);
+      if (firstMonth < startMonth) { drop("before_window"); continue; }
+      if (secondMonth - firstMonth < minHoldMonths) { drop("short_hold"); continue; }
+      const remodel = remodelReason(first, second, parcel.building);
+      if (remodel) { drop(remodel); continue; }
+      const logRatio = Math.log(second.price / first.price);
+      const years = (Date.parse(second.saleDate) - Date.parse(first.saleDate)) / (365.25 * 86400000);
+      if (Math.abs(logRatio) / Math.max(years, 1) > maxAnnualLogChange) { drop("outlier_change"); continue; }
+      pairs.push({ neighborhood: parcel.neighborhood, type: parcel.type, firstMonth, secondMonth, logRatio, years });
+    }
+  }
+  return { pairs, dropped };
+}
+
+function weightedIndexFit(pairs, weights, n, smoothing) {
+  // Unknowns are log levels for months 1..n-1; month 0 is the base (level 0).
+  const k = n - 1;
+  const xtx = Array.from({ length: k }, () => new Array(k).fill(0));
+  const xty = new Array(k).fill(0);
+  pairs.forEach((p, i) => {
+    const w = weights[i];
+    const terms = [[p.secondMonth - 1, 1], [p.firstMonth - 1, -1]].filter(([col]) => col >= 0);
+    terms.forEach(([a, va]) => {
+      xty[a] += w * va * p.logRatio;
+      terms.forEach(([b, vb]) => { xtx[a][b] += w * va * vb; });
+    });
+  });
+  // Random-walk penalty on month-to-month changes keeps thin months stable.
+  for (let t = 1; t < n; t += 1) {
+    xtx[t - 1][t - 1] += smoothing;
+    if (t >= 2) {
+      xtx[t - 2][t - 2] += smoothing;
+      xtx[t - 1][t - 2] -= smoothing;
+      xtx[t - 2][t - 1] -= smoothing;
+    }
+  }
+  const beta = solveLinear(xtx, xty);
+  return beta ? [0, ...beta] : null;
+}
+
+// Case-Shiller style weighted repeat-sales index: a first pass fits monthly log
+// levels, then squared residuals are regressed on hold length and the fit is
+// repeated with inverse-variance weights so long holds count for less.
+function fitRepeatSalesIndex(pairs, options) {
+  const { startMonth, endMonth } = options;
+  const smoothing = options.smoothing ?? INDEX_SMOOTHING;
+  const n = endMonth - startMonth + 1;
+  const shifted = pairs
+    .map((p) => ({ ...p, firstMonth: p.firstMonth - startMonth, secondMonth: p.secondMonth - startMonth }))
+    .filter((p) => p.firstMonth >= 0 && p.secondMonth < n && p.secondMonth > p.firstMonth);
+  if (!shifted.length || n < 2) return null;
+
+  let beta = weightedIndexFit(shifted, shifted.map(() => 1), n, smoothing);
+  if (!beta) return null;
+  const sq = shifted.map((p) => (p.logRatio - (beta[p.secondMonth] - beta[p.firstMonth])) ** 2);
+  const meanYears = shifted.reduce((s, p) => s + p.years, 0) / shifted.length;
+  const meanSq = sq.reduce((s, v) => s + v, 0) / sq.length;
+  const sxx = shifted.reduce((s, p) => s + (p.years - meanYears) ** 2, 0);
+  const slope = sxx > 0 ? shifted.reduce((s, p, i) => s + (p.years - meanYears) * (sq[i] - meanSq), 0) / sxx : 0;
+  const floor = Math.max(meanSq * 0.1, 1e-6);
+  const inverse = shifted.map((p) => 1 / Math.max(meanSq + slope * (p.years - meanYears), floor));
+  const meanInverse = inverse.reduce((s, v) => s + v, 0) / inverse.length;
+  beta = weightedIndexFit(shifted, inverse.map((v) => v / meanInverse), n, smoothing) || beta;
+
+  return {
+    pairCount: shifted.length,
+    values: beta.map((b) => Math.round(100 * Math.exp(b) * 10) / 10),
+  };
+}
+
+// One series per neighborhood + type, neighborhood (All types), Seattle-wide type
+// and Seattle-wide All. "*" is the Seattle-wide neighborhood key, as in the bid model.
+function buildRepeatSalesSeries(pairs, options) {
+  const minPairs = options.minPairs ?? MIN_SERIES_PAIRS;
+  const groups = new Map();
+  const add = (neighborhood, type, pair) => {
+    const key = `${neighborhood}|${type}`;
+    if (!groups.has(key)) groups.set(key, { neighborhood, type, pairs: [] });
+    groups.get(key).pairs.push(pair);
+  };
+  pairs.forEach((p) => {
+    add(p.neighborhood, p.type, p);
+    add(p.neighborhood, "All", p);
+    add("*", p.type, p);
+    add("*", "All", p);
+  });
+
+  const series = {};
+  [...groups.keys()].sort().forEach((key) => {
+    const group = groups.get(key);
+    if (group.pairs.length < minPairs) return;
+    const fit = fitRepeatSalesIndex(group.pairs, options);
+    if (!fit) return;
+    series[key] = { neighborhood: group.neighborhood, type: group.type, pairCount: fit.pairCount, values: fit.values };
+  });
+  const months = [];
+  for (let m = options.startMonth; m <= options.endMonth; m += 1) months.push(monthKey(m));
+  return { months, series };
+}
+
+// Sqft / year built as recorded when each sale was built into a year partition,
+// keyed "major-minor|saleDate". Older partitions keep the values from their build.
+async function readRecordedBuildings() {
+  const partitions = readManifest()?.publicProxy?.partitions || [];
+  const recorded = new Map();
+  for (const partition of partitions) {
+    const file = path.join(PROJECT_DIR, partition.file);
+    if (!fs.existsSync(file)) continue;
+    let idx = null;
+    for await (const cols of readCsvRecords(file)) {
+      if (!idx) {
+        idx = Object.fromEntries(cols.map((h, i) => [h, i]));
+        continue;
+      }
+      const key = `${cols[idx.major]}-${cols[idx.minor]}|${cols[idx.saleDate]}`;
+      recorded.set(key, { sqft: Number(cols[idx.sqft]) || 0, yearBuilt: Number(cols[idx.yearBuilt]) || 0 });
+    }
+  }
+  return recorded;
+}
+
+async function readRepeatSaleParcels(accountMap, resBldgMap, typeMap, saleLookups, recorded, startIso) {
+  let idx = null;
+  const exciseParcels = new Map();
+  const sales = [];
+  for await (const cols of readCsvRecords(SALES_FILE)) {
+    if (!idx) {
+      idx = Object.fromEntries(cols.map((h, i) => [String(h).trim(), i]));
+      continue;
+    }
+    const major = String(cols[idx.Major] || "").trim();
+    const minor = String(cols[idx.Minor] || "").trim();
+    const key = `${major}-${minor}`;
+    if (!accountMap.has(key)) continue;
+    const saleDate = toIsoDate(String(cols[idx.DocumentDate] || "").trim());
+    if (!saleDate || saleDate < startIso) continue;
+    const excise = String(cols[idx.ExciseTaxNbr] || "").trim();
+    if (excise && Number(excise) !== 0) {
+      if (!exciseParcels.has(excise)) exciseParcels.set(excise, new Set());
+      exciseParcels.get(excise).add(key);
+    }
+    const price = Number(cols[idx.SalePrice]) || 0;
+    const qualification = classifySaleQualification({
+      salePrice: price,
+      instrument: cols[idx.SaleInstrument],
+      reason: cols[idx.SaleReason],
+      warning: cols[idx.SaleWarning],
+    }, saleLookups);
+    if (qualification !== "qualified") continue;
+    sales.push({ key, excise, saleDate, price, typeCode: String(cols[idx.PropertyType] || "").trim() });
+  }
+
+  const parcels = new Map();
+  let multiParcel = 0;
+  sales.forEach((sale) => {
+    if ((exciseParcels.get(sale.excise)?.size || 0) > 1) {
+      multiParcel += 1;
+      return;
+    }
+    if (!parcels.has(sale.key)) {
+      const account = accountMap.get(sale.key);
+      const type = typeMap.get(String(Number(sale.typeCode))) || "";
+      parcels.set(sale.key, {
+        neighborhood: labelNeighborhood(account.neighborhood, account.zip),
+        type: labelType(type, sale.typeCode),
+        building: resBldgMap.get(sale.key) || {},
+        sales: [],
+      });
+    }
+    const parcel = parcels.get(sale.key);
+    // Same-day documents on one parcel are one transfer; keep the highest price.
+    const sameDay = parcel.sales.find((s) => s.saleDate === sale.saleDate);
+    if (sameDay) {
+      sameDay.price = Math.max(sameDay.price, sale.price);
+      return;
+    }
+    parcel.sales.push({ saleDate: sale.saleDate, price: sale.price, ...recorded.get(`${sale.key}|${sale.saleDate}`) });
+  });
+  return { parcels: [...parcels.values()].filter((p) => p.sales.length > 1), multiParcel };
+}
+
+async function main() {
+  if (!fs.existsSync(SALES_FILE)) throw new Error(`Missing file: ${SALES_FILE}`);
+  const now = new Date();
+  const endMonth = now.getFullYear() * 12 + now.getMonth();
+  const startMonth = endMonth - REPEAT_SALES_YEARS * 12 + 1;
+  const startIso = `${monthKey(startMonth)}-01`;
+
+  const accountMap = await buildSeattleAccountMap(await readParcelMap());
+  const resBldgMap = await readResBldgMap();
+  const typeMap = await readPropertyTypeMap();
+  const saleLookups = await readSaleLookupMaps();
+  const recorded = await readRecordedBuildings();
+  const { parcels, multiParcel } = await readRepeatSaleParcels(accountMap, resBldgMap, typeMap, saleLookups, recorded, startIso);
+  const { pairs, dropped } = findRepeatSalePairs(parcels, { startMonth });
+  const { months, series } = buildRepeatSalesSeries(pairs, { startMonth, endMonth });
+
+  const generatedAt = now.toISOString();
+  const counts = { repeatSaleParcels: parcels.length, pairsUsed: pairs.length, multiParcelSalesSkipped: multiParcel, dropped };
+  fs.writeFileSync(OUTPUT_FILE, `${JSON.stringify({
+    generatedAt,
+    method: "weighted_repeat_sales",
+    baseMonth: months[0],
+    minPairs: MIN_SERIES_PAIRS,
+    smoothing: INDEX_SMOOTHING,
+    months,
+    counts,
+    series,
+  })}\n`);
+  writeManifestSection("repeatSalesIndex", {
+    generatedAt,
+    file: path.basename(OUTPUT_FILE),
+    rangeStart: monthKey(startMonth),
+    rangeEnd: monthKey(endMonth),
+    pairs: pairs.length,
+    series: Object.keys(series).length,
+  });
+
+  // eslint-disable-next-line no-console
+  console.log(`Found ${pairs.length} repeat-sale pairs on ${parcels.length} parcels since ${startIso} (multi-parcel sales skipped: ${multiParcel})`);
+  // eslint-disable-next-line no-console
+  console.log(`Dropped pairs: ${Object.entries(dropped).map(([reason, n]) => `${reason} ${n}`).join(", ") || "none"}`);
+  // eslint-disable-next-line no-console
+  console.log(`Wrote ${Object.keys(series).length} index series to ${path.basename(OUTPUT_FILE)}`);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    // eslint-disable-next-line no-console
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  buildRepeatSalesSeries,
+  findRepeatSalePairs,
+  fitRepeatSalesIndex,
+  remodelReason,
+};
@@ -0,0 +1,150 @@
+"use strict";
+
+// Shared RFC 4180 CSV parser. Loaded by the Node scripts via require() and by
+// index.html as a classic <script>, where it is exposed as window.CsvParser.
+(function attachCsvParser(root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  } else {
+    root.CsvParser = api;
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function csvParserFactory() {
+  const FIELD_START = 0;
+  const FIELD_UNQUOTED = 1;
+  const FIELD_QUOTED = 2;
+  const FIELD_QUOTE_IN_QUOTED = 3;
+  const FIELD_AFTER_QUOTED = 4;
+
+  function resolveOptions(options = {}) {
+    const delimiter = options.delimiter === undefined ? "," : String(options.delimiter);
+    if (delimiter.length !== 1 || delimiter === "\"" || delimiter === "\r" || delimiter === "\n") {
+      throw new Error(`CSV delimiter must be a single character other than a quote or newline: ${JSON.stringify(delimiter)}`);
+    }
+    return {
+      delimiter,
+      trim: options.trim !== false,
+      skipEmptyLines: options.skipEmptyLines !== false,
+    };
+  }
+
+  // Incremental parser: push() text chunks in order, then end(). Both return the
+  // records completed so far, so quoted fields may span chunk boundaries.
+  function createCsvParser(options) {
+    const { delimiter, trim, skipEmptyLines } = resolveOptions(options);
+    let fieldState = FIELD_START;
+    let field = "";
+    let record = [];
+    let records = [];
+    let sawCarriageReturn = false;
+    let atStart = true;
+    let line = 1;
+    let quoteLine = 0;
+
+    function endField() {
+      record.push(trim ? field.trim() : field);
+      field = "";
+      fieldState = FIELD_START;
+    }
+
+    function endRecord() {
+      endField();
+      const blank = record.length === 1 && record[0] === "";
+      if (!blank || !skipEmptyLines) records.push(record);
+      record = [];
+    }
+
+    function push(chunk) {
+      let text = String(chunk || "");
+      if (atStart && text) {
+        if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+        atStart = false;
+      }
+
+      for (let i = 0; i < text.length; i += 1) {
+        const ch = text[i];
+        if (sawCarriageReturn) {
+          sawCarriageReturn = false;
+          if (ch === "\n") continue;
+        }
+        if (ch === "\n") line += 1;
+
+        if (fieldState === FIELD_QUOTED) {
+          if (ch === "\"") fieldState = FIELD_QUOTE_IN_QUOTED;
+          else field += ch;
+          continue;
+        }
+        if (fieldState === FIELD_QUOTE_IN_QUOTED && ch === "\"") {
+          field += "\"";
+          fieldState = FIELD_QUOTED;
+          continue;
+        }
+
+        if (ch === delimiter) {
+          endField();
+        } else if (ch === "\r" || ch === "\n") {
+          if (ch === "\r") {
+            sawCarriageReturn = true;
+            line += 1;
+          }
+          endRecord();
+        } else if (fieldState === FIELD_START) {
+          if (ch === "\"") {
+            fieldState = FIELD_QUOTED;
+            quoteLine = line;
+          } else if (!(trim && (ch === " " || ch === "\t"))) {
+            field += ch;
+            fieldState = FIELD_UNQUOTED;
+          }
+        } else {
+          // Text after a closing quote is kept rather than rejected, matching
+          // how spreadsheet tools read slightly malformed exports.
+          field += ch;
+          if (fieldState === FIELD_QUOTE_IN_QUOTED) fieldState = FIELD_AFTER_QUOTED;
+        }
+      }
+
+      const done = records;
+      records = [];
+      return done;
+    }
+
+    function end() {
+      if (fieldState === FIELD_QUOTED) {
+        throw new Error(`Unterminated quoted CSV field starting on line ${quoteLine}`);
+      }
+      if (fieldState !== FIELD_START || field !== "" || record.length) endRecord();
+      const done = records;
+      records = [];
+      return done;
+    }
+
+    return { push, end };
+  }
+
+  function parseCsvText(text, options) {
+    const parser = createCsvParser(options);
+    return parser.push(text).concat(parser.end());
+  }
+
+  function parseCsvLine(line, options) {
+    return parseCsvText(line, { ...options, skipEmptyLines: false })[0] || [""];
+  }
+
+  async function* readCsvRecords(filePath, options = {}) {
+    const fs = require("fs");
+    const parser = createCsvParser(options);
+    const stream = fs.createReadStream(filePath, { encoding: options.encoding || "utf8" });
+    for await (const chunk of stream) {
+      yield* parser.push(chunk);
+    }
+    yield* parser.end();
+  }
+
+  return {
+    createCsvParser,
+    parseCsvLine,
+    parseCsvText,
+    readCsvRecords,
+  };
+});
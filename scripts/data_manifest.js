@@ -0,0 +1,54 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const PROJECT_DIR = path.resolve(__dirname, "..");
+const DEFAULT_MANIFEST_FILE = path.join(PROJECT_DIR, "data_manifest.json");
+const MANIFEST_FILE = path.resolve(process.env.DATA_MANIFEST_FILE || DEFAULT_MANIFEST_FILE);
+const MANIFEST_VERSION = 1;
+const LEGACY_PUBLIC_FILE = "public_sales_proxy_all_prices_last12mo.csv";
+const LEGACY_ENRICHED_FILE = "public_sales_proxy_mls_enriched_last12mo.csv";
+
+function readManifest(file = MANIFEST_FILE) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function writeManifestSection(section, value, file = MANIFEST_FILE) {
+  const manifest = readManifest(file) || {};
+  manifest.version = MANIFEST_VERSION;
+  manifest.updatedAt = new Date().toISOString();
+  manifest[section] = value;
+  fs.writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifest;
+}
+
+function resolveManifestFile(section, fallbackName, file = MANIFEST_FILE) {
+  const manifest = readManifest(file);
+  const name = manifest?.[section]?.file || fallbackName;
+  return path.resolve(path.dirname(file), name);
+}
+
+function enrichedNameForBase(baseName) {
+  const name = path.basename(String(baseName || LEGACY_PUBLIC_FILE));
+  if (name.includes("_all_prices_")) return name.replace("_all_prices_", "_mls_enriched_");
+  return name.replace(/\.csv$/i, "") + "_mls_enriched.csv";
+}
+
+module.exports = {
+  DEFAULT_MANIFEST_FILE,
+  LEGACY_ENRICHED_FILE,
+  LEGACY_PUBLIC_FILE,
+  MANIFEST_FILE,
+  MANIFEST_VERSION,
+  enrichedNameForBase,
+  readManifest,
+  resolveManifestFile,
+  writeManifestSection,
+};
@@ -0,0 +1,180 @@
+"use strict";
+
+// Assessment ratio study (IAAO Standard on Ratio Studies) shared by index.html
+// (as window.EquityStudy) and the tests. Rows are the app's normalized rows:
+// closePrice, assessedValue, neighborhoodLabel and the sale qualification flags.
+(function attachEquityStudy(root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  } else {
+    root.EquityStudy = api;
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function equityStudyFactory() {
+  const EQUITY_MIN_SALES = 5;
+  const EQUITY_LEVEL_RANGE = [0.9, 1.1];
+  const EQUITY_COD_MAX = 15;
+  const EQUITY_PRD_RANGE = [0.98, 1.03];
+  const EQUITY_PRB_RANGE = [-0.05, 0.05];
+  // Ratio outliers are trimmed at 1.5x IQR inside each neighborhood + value tier
+  // stratum. Strata smaller than this borrow the neighborhood's fences, and
+  // neighborhoods smaller than this are not trimmed.
+  const EQUITY_TRIM_MIN_SALES = 4;
+  const EQUITY_TIER_LABELS = ["Q1 (lowest)", "Q2", "Q3", "Q4 (highest)"];
+
+  function median(values) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  function quantile(values, q) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const pos = (sorted.length - 1) * q;
+    const base = Math.floor(pos);
+    const rest = pos - base;
+    if (sorted[base + 1] !== undefined) {
+      return sorted[base] + rest * (sorted[base + 1] - sorted[base]);
+    }
+    return sorted[base];
+  }
+
+  function iqrFences(ratios) {
+    const q1 = quantile(ratios, 0.25);
+    const q3 = quantile(ratios, 0.75);
+    const fence = (q3 - q1) * 1.5;
+    return { low: q1 - fence, high: q3 + fence };
+  }
+
+  // Sale-price quartile cut points; tier i holds sales at or below cuts[i].
+  function valueTierCuts(sales) {
+    const prices = sales.map((s) => s.sale);
+    return [quantile(prices, 0.25), quantile(prices, 0.5), quantile(prices, 0.75)];
+  }
+
+  function valueTier(sale, cuts) {
+    const idx = cuts.findIndex((cut) => sale <= cut);
+    return idx < 0 ? cuts.length : idx;
+  }
+
+  // Qualified single-parcel sales with an assessed value, tagged with their value
+  // tier (quartile of the untrimmed sample) and trimmed within their stratum.
+  function buildEquityStudySample(rows) {
+    const all = rows
+      .filter((r) => r.hasActualClose && r.closePrice > 0 && r.assessedValue > 0)
+      .filter((r) => r.isQualifiedSale && !r.isMultiParcelSale)
+      .map((r) => ({ row: r, sale: r.closePrice, assessed: r.assessedValue, ratio: r.assessedValue / r.closePrice }));
+    const cuts = valueTierCuts(all);
+    all.forEach((s) => { s.tier = valueTier(s.sale, cuts); });
+
+    const byNeighborhood = new Map();
+    const byStratum = new Map();
+    const push = (map, key, s) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(s.ratio);
+    };
+    all.forEach((s) => {
+      push(byNeighborhood, s.row.neighborhoodLabel, s);
+      push(byStratum, `${s.row.neighborhoodLabel}|${s.tier}`, s);
+    });
+    const fencesFor = (s) => {
+      const stratum = byStratum.get(`${s.row.neighborhoodLabel}|${s.tier}`);
+      if (stratum.length >= EQUITY_TRIM_MIN_SALES) return iqrFences(stratum);
+      const neighborhood = byNeighborhood.get(s.row.neighborhoodLabel);
+      return neighborhood.length >= EQUITY_TRIM_MIN_SALES ? iqrFences(neighborhood) : null;
+    };
+    const kept = all.filter((s) => {
+      const fences = fencesFor(s);
+      return !fences || (s.ratio >= fences.low && s.ratio <= fences.high);
+    });
+    return { sales: kept, trimmed: all.length - kept.length, tierCuts: cuts };
+  }
+
+  function computeEquityMetrics(sales, minSales = EQUITY_MIN_SALES) {
+    const out = { count: sales.length, medianRatio: 0, cod: null, prd: null, prb: null };
+    if (!sales.length) return out;
+    const ratios = sales.map((s) => s.ratio);
+    const med = median(ratios);
+    out.medianRatio = med;
+    if (sales.length < minSales || med <= 0) return out;
+
+    const meanRatio = ratios.reduce((a, b) => a + b, 0) / ratios.length;
+    const totalAssessed = sales.reduce((a, s) => a + s.assessed, 0);
+    const totalSale = sales.reduce((a, s) => a + s.sale, 0);
+    const absDev = ratios.reduce((a, v) => a + Math.abs(v - med), 0) / ratios.length;
+    out.cod = (absDev / med) * 100;
+    out.prd = totalAssessed > 0 ? meanRatio / (totalAssessed / totalSale) : null;
+
+    // PRB: regress % deviation from the median ratio on log2 of a value proxy blending sale and assessed value.
+    const xs = sales.map((s) => Math.log2(0.5 * s.sale + 0.5 * (s.assessed / med)));
+    const ys = ratios.map((v) => (v - med) / med);
+    const xMean = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const yMean = ys.reduce((a, b) => a + b, 0) / ys.length;
+    let sxy = 0;
+    let sxx = 0;
+    xs.forEach((x, idx) => {
+      sxy += (x - xMean) * (ys[idx] - yMean);
+      sxx += (x - xMean) ** 2;
+    });
+    out.prb = sxx > 0 ? sxy / sxx : null;
+    return out;
+  }
+
+  function equityReadLabel(metrics) {
+    if (!metrics.count) return "n/a";
+    if (metrics.cod === null) return `Too few sales (< ${EQUITY_MIN_SALES})`;
+    const notes = [];
+    if (metrics.medianRatio > EQUITY_LEVEL_RANGE[1]) notes.push("Assessed high");
+    if (metrics.medianRatio < EQUITY_LEVEL_RANGE[0]) notes.push("Assessed low");
+    if (metrics.cod > EQUITY_COD_MAX) notes.push("Non-uniform");
+    const regressive = (metrics.prd !== null && metrics.prd > EQUITY_PRD_RANGE[1])
+      || (metrics.prb !== null && metrics.prb < EQUITY_PRB_RANGE[0]);
+    const progressive = (metrics.prd !== null && metrics.prd < EQUITY_PRD_RANGE[0])
+      || (metrics.prb !== null && metrics.prb > EQUITY_PRB_RANGE[1]);
+    if (regressive) notes.push("Regressive");
+    else if (progressive) notes.push("Progressive");
+    return notes.length ? notes.join(", ") : "Within IAAO ranges";
+  }
+
+  // Metrics per neighborhood, largest sample first.
+  function equityByNeighborhood(sales) {
+    const grouped = new Map();
+    sales.forEach((s) => {
+      const name = s.row.neighborhoodLabel;
+      if (!grouped.has(name)) grouped.set(name, []);
+      grouped.get(name).push(s);
+    });
+    return [...grouped.entries()]
+      .map(([name, set]) => ({ name, metrics: computeEquityMetrics(set) }))
+      .sort((a, b) => (b.metrics.count - a.metrics.count) || a.name.localeCompare(b.name));
+  }
+
+  // Metrics per sale-price quartile of the study sample.
+  function equityByValueTier(sample) {
+    return EQUITY_TIER_LABELS.map((label, idx) => {
+      const sales = sample.sales.filter((s) => s.tier === idx);
+      const prices = sales.map((s) => s.sale);
+      return {
+        label,
+        minSale: prices.length ? Math.min(...prices) : 0,
+        maxSale: prices.length ? Math.max(...prices) : 0,
+        metrics: computeEquityMetrics(sales),
+      };
+    });
+  }
+
+  return {
+    EQUITY_COD_MAX,
+    EQUITY_LEVEL_RANGE,
+    EQUITY_MIN_SALES,
+    EQUITY_PRB_RANGE,
+    EQUITY_PRD_RANGE,
+    buildEquityStudySample,
+    computeEquityMetrics,
+    equityByNeighborhood,
+    equityByValueTier,
+    equityReadLabel,
+  };
+});
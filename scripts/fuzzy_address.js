@@ -0,0 +1,188 @@
+"use strict";
+
+// Last-resort APN resolution for MLS rows whose canonical address keys miss the
+// county extracts. Inputs are streets already passed through normalizeAddressText
+// with any unit removed; matching is always scoped to a single ZIP.
+
+const FUZZY_AUTO_JOIN_MIN = 0.85;
+const FUZZY_REVIEW_MIN = 0.6;
+const FUZZY_MIN_MARGIN = 0.1;
+const FUZZY_MAX_NAME_EDITS = 2;
+
+const DIRECTION_ALIASES = {
+  N: "N", NO: "N", NORTH: "N",
+  S: "S", SO: "S", SOUTH: "S",
+  E: "E", EAST: "E",
+  W: "W", WEST: "W",
+  NE: "NE", NORTHEAST: "NE",
+  NW: "NW", NORTHWEST: "NW",
+  SE: "SE", SOUTHEAST: "SE",
+  SW: "SW", SOUTHWEST: "SW",
+};
+
+const STREET_SUFFIX_ALIASES = {
+  AV: "AVE", AVE: "AVE", AVEN: "AVE", AVENUE: "AVE",
+  ST: "ST", STR: "ST", STREET: "ST",
+  WY: "WAY", WAY: "WAY",
+  PL: "PL", PLACE: "PL",
+  CT: "CT", CRT: "CT", COURT: "CT",
+  DR: "DR", DRV: "DR", DRIVE: "DR",
+  RD: "RD", ROAD: "RD",
+  LN: "LN", LANE: "LN",
+  TER: "TER", TERR: "TER", TERRACE: "TER",
+  BLVD: "BLVD", BL: "BLVD", BOULEVARD: "BLVD",
+  PKWY: "PKWY", PKY: "PKWY", PARKWAY: "PKWY",
+  HWY: "HWY", HIGHWAY: "HWY",
+  CIR: "CIR", CIRCLE: "CIR",
+  LOOP: "LOOP", LP: "LOOP",
+  ROW: "ROW",
+  SQ: "SQ", SQUARE: "SQ",
+  TRL: "TRL", TRAIL: "TRL",
+  WALK: "WALK", WK: "WALK",
+  VIEW: "VIEW", VW: "VIEW",
+};
+
+const ORDINAL_ALIASES = {
+  FIRST: "1ST", SECOND: "2ND", THIRD: "3RD", FOURTH: "4TH", FIFTH: "5TH",
+  SIXTH: "6TH", SEVENTH: "7TH", EIGHTH: "8TH", NINTH: "9TH", TENTH: "10TH",
+  ELEVENTH: "11TH", TWELFTH: "12TH",
+};
+
+function parseHouseNumber(token) {
+  const match = String(token || "").match(/^(\d+)[A-Z]?(?:-(\d+)[A-Z]?)?$/);
+  if (!match) return null;
+  const low = Number(match[1]);
+  const high = match[2] ? Number(match[2]) : low;
+  return { low: Math.min(low, high), high: Math.max(low, high), raw: token };
+}
+
+function parseStreetAddress(street) {
+  const tokens = String(street || "").toUpperCase().split(/\s+/).filter(Boolean);
+  const house = parseHouseNumber(tokens[0]);
+  if (!house) return null;
+  let start = 1;
+  if (/^\d+\/\d+$/.test(tokens[start] || "")) start += 1;
+
+  let end = tokens.length;
+  let preDirection = "";
+  let postDirection = "";
+  let suffix = "";
+  if (end - start > 1 && DIRECTION_ALIASES[tokens[start]]) {
+    preDirection = DIRECTION_ALIASES[tokens[start]];
+    start += 1;
+  }
+  if (end - start > 1 && DIRECTION_ALIASES[tokens[end - 1]]) {
+    postDirection = DIRECTION_ALIASES[tokens[end - 1]];
+    end -= 1;
+  }
+  if (end - start > 1 && STREET_SUFFIX_ALIASES[tokens[end - 1]]) {
+    suffix = STREET_SUFFIX_ALIASES[tokens[end - 1]];
+    end -= 1;
+  }
+  const name = tokens.slice(start, end).map((t) => ORDINAL_ALIASES[t] || t).join("");
+  if (!name) return null;
+  return {
+    house,
+    direction: preDirection || postDirection,
+    suffix,
+    name,
+  };
+}
+
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function maxNameEdits(length) {
+  if (length <= 4) return 0;
+  if (length <= 8) return 1;
+  return FUZZY_MAX_NAME_EDITS;
+}
+
+// 1 means the parsed parts agree after aliasing; each tolerated difference costs
+// a fixed amount, and a hard disagreement (house number, direction, name) is 0.
+function scoreAddressMatch(target, candidate) {
+  if (!target || !candidate) return 0;
+  if (target.house.high < candidate.house.low || candidate.house.high < target.house.low) return 0;
+  if (target.direction && candidate.direction && target.direction !== candidate.direction) return 0;
+
+  // A one-character difference in a numbered (5TH/6TH) or short (PIKE/PINE)
+  // name is a different street, not a typo.
+  if (target.name.replace(/\D/g, "") !== candidate.name.replace(/\D/g, "")) return 0;
+  const edits = editDistance(target.name, candidate.name);
+  if (edits > maxNameEdits(Math.min(target.name.length, candidate.name.length))) return 0;
+
+  let score = 1 - edits * 0.08;
+  const sameHouse = target.house.low === candidate.house.low && target.house.high === candidate.house.high;
+  if (!sameHouse) score -= 0.1;
+  if (!target.direction !== !candidate.direction) score -= 0.05;
+  if (target.suffix && candidate.suffix && target.suffix !== candidate.suffix) score -= 0.15;
+  else if (!target.suffix !== !candidate.suffix) score -= 0.05;
+  return Math.max(0, Math.round(score * 100) / 100);
+}
+
+function addFuzzyCandidate(candidatesByZip, zip, street, apn, source) {
+  const parsed = parseStreetAddress(street);
+  if (!zip || !apn || !parsed) return;
+  if (!candidatesByZip.has(zip)) candidatesByZip.set(zip, { seen: new Set(), list: [] });
+  const bucket = candidatesByZip.get(zip);
+  const key = `${apn}|${street}`;
+  if (bucket.seen.has(key)) return;
+  bucket.seen.add(key);
+  bucket.list.push({ apn, street, source, parsed });
+}
+
+// Returns { status: "resolved" | "review" | "none", apn, confidence, reason, candidates }.
+// Only a single clear winner above FUZZY_AUTO_JOIN_MIN is ever resolved.
+function resolveFuzzyAddress(street, zip, candidatesByZip) {
+  const none = { status: "none", apn: "", confidence: 0, reason: "", candidates: [] };
+  const target = parseStreetAddress(street);
+  const bucket = candidatesByZip.get(zip);
+  if (!target || !bucket) return none;
+
+  const bestByApn = new Map();
+  bucket.list.forEach((candidate) => {
+    const score = scoreAddressMatch(target, candidate.parsed);
+    if (score < FUZZY_REVIEW_MIN) return;
+    const prev = bestByApn.get(candidate.apn);
+    if (!prev || score > prev.score) bestByApn.set(candidate.apn, { apn: candidate.apn, street: candidate.street, score });
+  });
+  const candidates = [...bestByApn.values()].sort((a, b) => b.score - a.score || a.apn.localeCompare(b.apn));
+  if (!candidates.length) return none;
+
+  const [best, runnerUp] = candidates;
+  const clearWinner = !runnerUp || Math.round((best.score - runnerUp.score) * 100) >= FUZZY_MIN_MARGIN * 100;
+  if (best.score >= FUZZY_AUTO_JOIN_MIN && clearWinner) {
+    return { status: "resolved", apn: best.apn, confidence: best.score, reason: "", candidates };
+  }
+  return {
+    status: "review",
+    apn: "",
+    confidence: best.score,
+    reason: clearWinner ? "low_confidence" : "ambiguous",
+    candidates,
+  };
+}
+
+module.exports = {
+  FUZZY_AUTO_JOIN_MIN,
+  FUZZY_MIN_MARGIN,
+  FUZZY_REVIEW_MIN,
+  addFuzzyCandidate,
+  editDistance,
+  parseStreetAddress,
+  resolveFuzzyAddress,
+  scoreAddressMatch,
+};
@@ -0,0 +1,141 @@
+"use strict";
+
+// Back-on-market and relist signals for deduped MLS listings. Evidence comes
+// from three places: duplicate export rows for one listing number, archived
+// refresh snapshots (scripts/mls_snapshots.js), and other listing numbers on the
+// same APN. CDOM running ahead of DOM also means earlier market time.
+
+const RELIST_WINDOW_DAYS = 365;
+const PENDING_STATUS_PATTERN = /pending|contingent/i;
+
+function isActiveStatus(status) {
+  return /^active$/i.test(String(status || "").trim());
+}
+
+function isPendingStatus(status) {
+  return PENDING_STATUS_PATTERN.test(String(status || ""));
+}
+
+function daysBetween(fromIso, toIso) {
+  const from = Date.parse(fromIso);
+  const to = Date.parse(toIso);
+  if (!Number.isFinite(from) || !Number.isFinite(to)) return null;
+  return Math.round((to - from) / 86400000);
+}
+
+// Within one export batch, DOM stops at pending and resumes if the listing comes
+// back, so an Active row with more DOM than every pending row is the later state.
+// Returns that Active row, or null.
+function backOnMarketRow(group) {
+  if (group.some((row) => row.isClosed)) return null;
+  const pendingDoms = group.filter((row) => isPendingStatus(row.status) && row.domRaw !== "").map((row) => row.dom);
+  if (!pendingDoms.length) return null;
+  const maxPendingDom = Math.max(...pendingDoms);
+  const later = group
+    .filter((row) => isActiveStatus(row.status) && row.domRaw !== "" && row.dom > maxPendingDom)
+    .sort((a, b) => b.dom - a.dom);
+  if (!later.length) return null;
+  const pendingRow = group.find((row) => isPendingStatus(row.status) && row.dom === maxPendingDom);
+  return { row: later[0], pendingListPrice: Number(pendingRow.listingPrice || 0) };
+}
+
+// First pending -> later Active transition across snapshots, oldest first.
+function snapshotBackOnMarket(observations) {
+  let lastPending = null;
+  for (const obs of observations) {
+    if (isPendingStatus(obs.mlsStatus)) lastPending = obs;
+    else if (lastPending && isActiveStatus(obs.mlsStatus)) {
+      return { pendingListPrice: Number(lastPending.mlsListingPrice || 0), returnedOn: obs.snapshotDate };
+    }
+  }
+  return null;
+}
+
+function addListing(listingsByApn, apn, listing) {
+  if (!apn || !listing.listingNumber) return;
+  if (!listingsByApn.has(apn)) listingsByApn.set(apn, new Map());
+  const byNumber = listingsByApn.get(apn);
+  const prev = byNumber.get(listing.listingNumber);
+  // Keep the most recent observation of each listing.
+  if (!prev || String(listing.observedOn || "") >= String(prev.observedOn || "")) {
+    byNumber.set(listing.listingNumber, { ...listing, listingDate: listing.listingDate || prev?.listingDate || "" });
+  }
+}
+
+// Sets isBackOnMarket, relistCount, priorListPrice and marketEventReason on
+// each row. `snapshots` is readSnapshots() output and may include today's.
+function detectMarketEvents(rows, snapshots = []) {
+  const observationsByListing = new Map();
+  const listingsByApn = new Map();
+  snapshots.forEach(({ snapshotDate, rows: snapshotRows }) => {
+    snapshotRows.forEach((snap) => {
+      const listingNumber = String(snap.mlsListingNumber || "").trim();
+      if (!listingNumber) return;
+      if (!observationsByListing.has(listingNumber)) observationsByListing.set(listingNumber, []);
+      observationsByListing.get(listingNumber).push({ ...snap, snapshotDate });
+      addListing(listingsByApn, snap.apn, {
+        listingNumber,
+        listingDate: snap.mlsListDate || "",
+        listingPrice: Number(snap.mlsListingPrice || 0),
+        closed: !!snap.mlsSellingDate || /sold/i.test(snap.mlsStatus || ""),
+        observedOn: snapshotDate,
+      });
+    });
+  });
+  rows.forEach((row) => {
+    addListing(listingsByApn, row.apn, {
+      listingNumber: row.listingNumber,
+      listingDate: row.listingDate,
+      listingPrice: Number(row.listingPrice || 0),
+      closed: !!row.isClosed,
+      observedOn: "9999-12-31",
+    });
+  });
+
+  let backOnMarketCount = 0;
+  let relistedCount = 0;
+  rows.forEach((row) => {
+    const reasons = [];
+    let backOnMarketPrice = 0;
+    if (row.backOnMarketInExports) {
+      reasons.push("pending_then_active_export");
+      backOnMarketPrice = row.backOnMarketInExports.pendingListPrice;
+    }
+    const observations = (observationsByListing.get(row.listingNumber) || [])
+      .slice()
+      .sort((a, b) => a.snapshotDate.localeCompare(b.snapshotDate));
+    const fromSnapshots = snapshotBackOnMarket(observations);
+    if (fromSnapshots) {
+      reasons.push("pending_then_active_snapshot");
+      backOnMarketPrice = backOnMarketPrice || fromSnapshots.pendingListPrice;
+    }
+
+    const cdomGap = row.cdomRaw !== "" && row.domRaw !== "" && row.cdom > row.dom;
+    if (cdomGap) reasons.push("cdom_gt_dom");
+
+    // Earlier listing numbers on the same parcel that never closed, listed
+    // within the window before this one. A closed one is a resale, not a relist.
+    const priorListings = [...(listingsByApn.get(row.apn)?.values() || [])]
+      .filter((other) => other.listingNumber !== row.listingNumber && !other.closed)
+      .filter((other) => {
+        const gap = daysBetween(other.listingDate, row.listingDate);
+        return gap !== null && gap > 0 && gap <= RELIST_WINDOW_DAYS;
+      })
+      .sort((a, b) => b.listingDate.localeCompare(a.listingDate));
+    if (priorListings.length) reasons.push("prior_listing_on_apn");
+
+    row.isBackOnMarket = !!(row.backOnMarketInExports || fromSnapshots);
+    row.relistCount = Math.max(priorListings.length, cdomGap ? 1 : 0);
+    row.priorListPrice = (priorListings[0] && priorListings[0].listingPrice) || backOnMarketPrice || 0;
+    row.marketEventReason = reasons.join("|");
+    if (row.isBackOnMarket) backOnMarketCount += 1;
+    if (row.relistCount > 0) relistedCount += 1;
+  });
+  return { backOnMarket: backOnMarketCount, relisted: relistedCount };
+}
+
+module.exports = {
+  RELIST_WINDOW_DAYS,
+  backOnMarketRow,
+  detectMarketEvents,
+};
@@ -0,0 +1,157 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { parseCsvText } = require("./csv_parser");
+
+// Dated copies of the deduped MLS listing states, one CSV per refresh day, and
+// the per-listing status history derived from all of them.
+const PROJECT_DIR = path.resolve(__dirname, "..");
+const SNAPSHOT_DIR = path.resolve(process.env.MLS_SNAPSHOT_DIR || path.join(PROJECT_DIR, "mls_snapshots"));
+const STATUS_HISTORY_FILE = path.resolve(
+  process.env.MLS_STATUS_HISTORY_FILE || path.join(PROJECT_DIR, "mls_status_history.csv"),
+);
+const SNAPSHOT_FILE_PATTERN = /^mls_listing_snapshot_(\d{4}-\d{2}-\d{2})\.csv$/;
+
+const SNAPSHOT_COLUMNS = [
+  "snapshotDate",
+  "mlsListingNumber",
+  "mlsStatus",
+  "mlsListingPrice",
+  "mlsOriginalPrice",
+  "mlsSellingPrice",
+  "mlsDOM",
+  "mlsCDOM",
+  "mlsListDate",
+  "mlsPendingDate",
+  "mlsSellingDate",
+  "apn",
+  "mlsAddress",
+  "mlsRegion",
+];
+const STATUS_HISTORY_COLUMNS = [
+  "mlsListingNumber",
+  "snapshotDate",
+  "mlsStatus",
+  "mlsListingPrice",
+  "mlsDOM",
+  "mlsSellingPrice",
+  "previousStatus",
+  "statusChanged",
+  "listPriceChange",
+];
+
+function safeCsv(v) {
+  const s = String(v ?? "");
+  if (s.includes(",") || s.includes("\"") || s.includes("\n")) return `"${s.replace(/"/g, "\"\"")}"`;
+  return s;
+}
+
+function writeCsv(file, header, rows) {
+  const lines = [header.join(",")];
+  rows.forEach((row) => lines.push(header.map((h) => safeCsv(row[h])).join(",")));
+  fs.writeFileSync(file, `${lines.join("\n")}\n`);
+}
+
+function snapshotDateFor(now = new Date()) {
+  if (process.env.MLS_SNAPSHOT_DATE) return process.env.MLS_SNAPSHOT_DATE;
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`;
+}
+
+function snapshotFileName(snapshotDate) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(snapshotDate)) throw new Error(`Snapshot date must be YYYY-MM-DD: ${snapshotDate}`);
+  return `mls_listing_snapshot_${snapshotDate}.csv`;
+}
+
+// A second refresh on the same day replaces that day's snapshot.
+function writeSnapshot(rows, snapshotDate, dir = SNAPSHOT_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, snapshotFileName(snapshotDate));
+  writeCsv(file, SNAPSHOT_COLUMNS, rows.map((row) => ({ ...row, snapshotDate })));
+  return file;
+}
+
+function readSnapshots(dir = SNAPSHOT_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map((name) => ({ name, match: name.match(SNAPSHOT_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => a.match[1].localeCompare(b.match[1]))
+    .map(({ name, match }) => {
+      const [header = [], ...records] = parseCsvText(fs.readFileSync(path.join(dir, name), "utf8"));
+      const rows = records.map((cols) => {
+        const row = {};
+        header.forEach((h, i) => { row[h] = cols[i] || ""; });
+        return row;
+      });
+      return { snapshotDate: match[1], rows };
+    });
+}
+
+// One row per listing per snapshot it appears in, oldest first. A listing that
+// drops out of an export is not treated as a status change.
+function buildStatusHistory(snapshots) {
+  const byListing = new Map();
+  snapshots.forEach(({ snapshotDate, rows }) => {
+    rows.forEach((row) => {
+      const listingNumber = String(row.mlsListingNumber || "").trim();
+      if (!listingNumber) return;
+      if (!byListing.has(listingNumber)) byListing.set(listingNumber, new Map());
+      byListing.get(listingNumber).set(snapshotDate, row);
+    });
+  });
+
+  const out = [];
+  [...byListing.keys()].sort((a, b) => a.localeCompare(b)).forEach((listingNumber) => {
+    let previous = null;
+    [...byListing.get(listingNumber).entries()]
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .forEach(([snapshotDate, row]) => {
+        const listPrice = Number(row.mlsListingPrice || 0);
+        const previousListPrice = previous ? Number(previous.mlsListingPrice || 0) : 0;
+        out.push({
+          mlsListingNumber: listingNumber,
+          snapshotDate,
+          mlsStatus: row.mlsStatus || "",
+          mlsListingPrice: row.mlsListingPrice || "",
+          mlsDOM: row.mlsDOM || "",
+          mlsSellingPrice: row.mlsSellingPrice || "",
+          previousStatus: previous ? previous.mlsStatus || "" : "",
+          statusChanged: previous && previous.mlsStatus !== row.mlsStatus ? "true" : "false",
+          listPriceChange: listPrice > 0 && previousListPrice > 0 && listPrice !== previousListPrice
+            ? String(listPrice - previousListPrice)
+            : "",
+        });
+        previous = row;
+      });
+  });
+  return out;
+}
+
+function archiveMlsSnapshot(rows, snapshotDate, options = {}) {
+  const dir = options.dir || SNAPSHOT_DIR;
+  const historyFile = options.historyFile || STATUS_HISTORY_FILE;
+  const snapshotFile = writeSnapshot(rows, snapshotDate, dir);
+  const snapshots = readSnapshots(dir);
+  const history = buildStatusHistory(snapshots);
+  writeCsv(historyFile, STATUS_HISTORY_COLUMNS, history);
+  return {
+    snapshotFile,
+    snapshots,
+    snapshotCount: snapshots.length,
+    historyRows: history.length,
+    statusChanges: history.filter((row) => row.statusChanged === "true").length,
+  };
+}
+
+module.exports = {
+  SNAPSHOT_COLUMNS,
+  SNAPSHOT_DIR,
+  STATUS_HISTORY_COLUMNS,
+  STATUS_HISTORY_FILE,
+  archiveMlsSnapshot,
+  buildStatusHistory,
+  readSnapshots,
+  snapshotDateFor,
+  writeSnapshot,
+};
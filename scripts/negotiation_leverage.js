@@ -0,0 +1,110 @@
+"use strict";
+
+// Negotiation leverage score for active listings, shared by index.html (as
+// window.NegotiationLeverage) and the tests. Market time comes from the bid
+// model's DOM measure and price cuts from the price-cut module.
+(function attachNegotiationLeverage(root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./bid_model"), require("./price_cuts"));
+  } else {
+    root.NegotiationLeverage = factory(root.BidModel, root.PriceCuts);
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function negotiationLeverageFactory(BidModel, PriceCuts) {
+  // Neighborhoods with fewer sold comps carrying a DOM than this use the Seattle median.
+  const LEVERAGE_DOM_MIN_SAMPLES = 5;
+  const LEVERAGE_OPPORTUNITY_MIN = 40;
+  const LEVERAGE_WEIGHTS = {
+    marketTime: 35,
+    priceCut: 25,
+    backOnMarket: 12,
+    relist: 8,
+    bankOwned: 10,
+    thirdPartyApproval: 5,
+    condition: 10,
+  };
+
+  function median(values) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  function clamp(v, lo, hi) {
+    return Math.max(lo, Math.min(hi, v));
+  }
+
+  function formatPct(v) {
+    return `${(Number(v || 0) * 100).toFixed(1)}%`;
+  }
+
+  // Median market DOM of the sold comps per neighborhood, with a Seattle-wide fallback.
+  function buildDomBaselines(compPool) {
+    const byNeighborhood = {};
+    const all = [];
+    compPool.forEach((r) => {
+      const d = BidModel.marketDom(r);
+      if (d === null || !Number.isFinite(d)) return;
+      all.push(d);
+      if (!byNeighborhood[r.neighborhoodLabel]) byNeighborhood[r.neighborhoodLabel] = [];
+      byNeighborhood[r.neighborhoodLabel].push(d);
+    });
+    const out = { city: all.length ? median(all) : null, neighborhoods: {} };
+    Object.entries(byNeighborhood).forEach(([name, doms]) => {
+      if (doms.length >= LEVERAGE_DOM_MIN_SAMPLES) out.neighborhoods[name] = median(doms);
+    });
+    return out;
+  }
+
+  function conditionLeveragePoints(condition) {
+    if (/fixer|needs? work|poor|tlc/i.test(condition)) return LEVERAGE_WEIGHTS.condition;
+    if (/average|fair/i.test(condition)) return Math.round(LEVERAGE_WEIGHTS.condition * 0.4);
+    return 0;
+  }
+
+  // 0-100 estimate of how much room a buyer has to negotiate below ask, with
+  // the points behind it so the score can be explained row by row.
+  function computeNegotiationLeverage(row, domBaselines) {
+    const parts = [];
+    const marketDom = BidModel.marketDom(row);
+    const hasLocalBaseline = domBaselines.neighborhoods[row.neighborhoodLabel] !== undefined;
+    const baseline = hasLocalBaseline ? domBaselines.neighborhoods[row.neighborhoodLabel] : domBaselines.city;
+    if (marketDom !== null && baseline !== null) {
+      const ratio = marketDom / Math.max(1, baseline);
+      const points = Math.round(clamp(((ratio - 1) / 2) * LEVERAGE_WEIGHTS.marketTime, 0, LEVERAGE_WEIGHTS.marketTime));
+      const area = hasLocalBaseline ? "nbhd" : "Seattle";
+      parts.push({ key: "marketTime", label: `DOM ${marketDom.toFixed(0)}d vs ${area} median ${baseline.toFixed(0)}d`, points });
+    }
+    if (PriceCuts.hasPriceCut(row)) {
+      const cutPct = PriceCuts.priceCutPct(row);
+      const points = Math.round(clamp((cutPct / 0.1) * LEVERAGE_WEIGHTS.priceCut, 0, LEVERAGE_WEIGHTS.priceCut));
+      parts.push({ key: "priceCut", label: `Cut ${formatPct(cutPct)} off original`, points });
+    }
+    if (row.isBackOnMarket) parts.push({ key: "backOnMarket", label: "Back on market", points: LEVERAGE_WEIGHTS.backOnMarket });
+    if (row.relistCount > 0) parts.push({ key: "relist", label: "Relisted", points: LEVERAGE_WEIGHTS.relist });
+    if (row.isBankOwned) parts.push({ key: "bankOwned", label: "Bank owned", points: LEVERAGE_WEIGHTS.bankOwned });
+    else if (row.hasThirdPartyApprovalRequirement) {
+      parts.push({ key: "thirdPartyApproval", label: "Third-party approval", points: LEVERAGE_WEIGHTS.thirdPartyApproval });
+    }
+    const conditionPoints = conditionLeveragePoints(row.mlsBuildingCondition || "");
+    if (conditionPoints > 0) parts.push({ key: "condition", label: `Condition: ${row.mlsBuildingCondition}`, points: conditionPoints });
+
+    const score = Math.round(clamp(parts.reduce((a, p) => a + p.points, 0), 0, 100));
+    return { negotiationScore: score, negotiationParts: parts.filter((p) => p.points > 0) };
+  }
+
+  function negotiationBreakdownText(row) {
+    const parts = row.negotiationParts || [];
+    return parts.length ? parts.map((p) => `${p.label} +${p.points}`).join(" | ") : "No leverage signals";
+  }
+
+  return {
+    LEVERAGE_DOM_MIN_SAMPLES,
+    LEVERAGE_OPPORTUNITY_MIN,
+    LEVERAGE_WEIGHTS,
+    buildDomBaselines,
+    computeNegotiationLeverage,
+    conditionLeveragePoints,
+    negotiationBreakdownText,
+  };
+});
@@ -0,0 +1,122 @@
+"use strict";
+
+// Price-cut tracker math shared by index.html (as window.PriceCuts) and the
+// tests. A cut is an ask (pendingListPrice) below the original list price; the
+// expected close applies the median close/original ratio of sold listings that
+// were also cut before pending.
+(function attachPriceCuts(root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  } else {
+    root.PriceCuts = api;
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function priceCutsFactory() {
+  // Neighborhoods with fewer cut sales than this fall back to the Seattle ratio.
+  const PRICE_CUT_MIN_SALES = 5;
+
+  function median(values) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  function roundToThousand(value) {
+    return Number.isFinite(value) ? Math.round(value / 1000) * 1000 : 0;
+  }
+
+  function groupByNeighborhood(rows) {
+    const out = {};
+    rows.forEach((r) => {
+      if (!out[r.neighborhoodLabel]) out[r.neighborhoodLabel] = [];
+      out[r.neighborhoodLabel].push(r);
+    });
+    return out;
+  }
+
+  function hasPriceCut(row) {
+    return row.originalListPrice > 0 && row.pendingListPrice > 0 && row.pendingListPrice < row.originalListPrice;
+  }
+
+  function priceCutPct(row) {
+    return hasPriceCut(row) ? (row.originalListPrice - row.pendingListPrice) / row.originalListPrice : 0;
+  }
+
+  // Cut listings with the cut amount, cut share and days since list
+  // (daysSinceList is supplied by the caller, which owns the as-of clock).
+  function priceCutRows(activeRows, daysSinceList = () => null) {
+    return activeRows.filter(hasPriceCut).map((r) => ({
+      ...r,
+      cutAmount: r.originalListPrice - r.pendingListPrice,
+      cutPct: priceCutPct(r),
+      daysSinceList: daysSinceList(r),
+    }));
+  }
+
+  function summarizeCutSales(sales) {
+    if (!sales.length) return { count: 0, saleToOriginal: 0, belowAskShare: 0 };
+    return {
+      count: sales.length,
+      saleToOriginal: median(sales.map((r) => r.closePrice / r.originalListPrice)),
+      belowAskShare: sales.filter((r) => r.closePrice < r.pendingListPrice).length / sales.length,
+    };
+  }
+
+  function summarizeCutSalesByNeighborhood(sales) {
+    const out = {};
+    Object.entries(groupByNeighborhood(sales)).forEach(([name, set]) => { out[name] = summarizeCutSales(set); });
+    return out;
+  }
+
+  // Cut frequency per neighborhood of the active slice, most frequent first.
+  function priceCutNeighborhoods(activeRows, cutRows, neighborhoodSales) {
+    const cutsByNeighborhood = groupByNeighborhood(cutRows);
+    return Object.entries(groupByNeighborhood(activeRows))
+      .map(([name, set]) => {
+        const cuts = cutsByNeighborhood[name] || [];
+        return {
+          name,
+          activeCount: set.length,
+          cutCount: cuts.length,
+          frequency: cuts.length / set.length,
+          medianCutPct: cuts.length ? median(cuts.map((r) => r.cutPct)) : null,
+          sales: neighborhoodSales[name] || summarizeCutSales([]),
+        };
+      })
+      .sort((a, b) => (b.frequency - a.frequency) || (b.activeCount - a.activeCount) || a.name.localeCompare(b.name));
+  }
+
+  // Expected close per cut listing, most likely to close below ask first.
+  function rankCutListings(cutRows, citySales, neighborhoodSales, minSales = PRICE_CUT_MIN_SALES) {
+    return cutRows
+      .map((r) => {
+        const local = neighborhoodSales[r.neighborhoodLabel];
+        const basis = local && local.count >= minSales ? local : citySales;
+        const basisLabel = basis === citySales ? "Seattle" : r.neighborhoodLabel;
+        const expectedClose = basis.count ? roundToThousand(r.originalListPrice * basis.saleToOriginal) : 0;
+        return {
+          ...r,
+          basis,
+          basisLabel,
+          expectedClose,
+          expectedVsAsk: expectedClose > 0 ? (expectedClose - r.pendingListPrice) / r.pendingListPrice : null,
+        };
+      })
+      .sort((a, b) => {
+        if (a.expectedVsAsk === null || b.expectedVsAsk === null) return (a.expectedVsAsk === null) - (b.expectedVsAsk === null);
+        return (a.expectedVsAsk - b.expectedVsAsk) || (b.cutPct - a.cutPct);
+      });
+  }
+
+  return {
+    PRICE_CUT_MIN_SALES,
+    hasPriceCut,
+    priceCutNeighborhoods,
+    priceCutPct,
+    priceCutRows,
+    rankCutListings,
+    summarizeCutSales,
+    summarizeCutSalesByNeighborhood,
+  };
+});
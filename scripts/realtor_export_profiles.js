@@ -0,0 +1,172 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const PROJECT_DIR = path.resolve(__dirname, "..");
+const REALTOR_PROFILES_FILE = path.resolve(
+  process.env.REALTOR_PROFILES_FILE || path.join(PROJECT_DIR, "realtor_export_profiles.json"),
+);
+
+const MONTH_NAMES = [
+  "january", "february", "march", "april", "may", "june",
+  "july", "august", "september", "october", "november", "december",
+];
+
+function loadRealtorProfiles(file = REALTOR_PROFILES_FILE) {
+  if (!fs.existsSync(file)) throw new Error(`Missing realtor export profiles file: ${file}`);
+  const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!parsed || !parsed.version || !Array.isArray(parsed.profiles)) {
+    throw new Error(`Realtor export profiles file must have a version and a profiles array: ${file}`);
+  }
+  const ids = new Set();
+  parsed.profiles.forEach((profile) => {
+    if (!profile.id || !Array.isArray(profile.detectHeaders) || !profile.detectHeaders.length) {
+      throw new Error(`Realtor export profile needs an id and detectHeaders: ${JSON.stringify(profile)}`);
+    }
+    if (ids.has(profile.id)) throw new Error(`Duplicate realtor export profile id: ${profile.id}`);
+    ids.add(profile.id);
+  });
+  return { version: String(parsed.version), profiles: parsed.profiles };
+}
+
+// Optional `{ "<export file name>": "<profile id>" }` map for files whose
+// headers match more than one profile or none of them.
+function loadProfileOverrides(file) {
+  if (!file || !fs.existsSync(file)) return {};
+  const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error(`Realtor profile override file must map file names to profile ids: ${file}`);
+  }
+  return parsed;
+}
+
+function findHeaderIndex(records, detectHeaders = ["Listing Number", "Status"]) {
+  for (let i = 0; i < records.length; i += 1) {
+    const cols = records[i].map((c) => String(c || "").trim());
+    if (detectHeaders.every((h) => cols.includes(h))) return i;
+  }
+  return -1;
+}
+
+// Picks the profile whose detect headers appear earliest in the file; when
+// several match the same row, the one with more detect headers wins.
+function detectRealtorProfile(records, profiles, overrideId = "") {
+  if (overrideId) {
+    const profile = profiles.find((p) => p.id === overrideId);
+    if (!profile) throw new Error(`Unknown realtor export profile: ${overrideId}`);
+    return { profile, headerIndex: findHeaderIndex(records, profile.detectHeaders), detection: "override" };
+  }
+  let best = null;
+  profiles.forEach((profile) => {
+    const headerIndex = findHeaderIndex(records, profile.detectHeaders);
+    if (headerIndex < 0) return;
+    if (!best || headerIndex < best.headerIndex
+      || (headerIndex === best.headerIndex && profile.detectHeaders.length > best.profile.detectHeaders.length)) {
+      best = { profile, headerIndex, detection: "auto" };
+    }
+  });
+  return best || { profile: null, headerIndex: -1, detection: "none" };
+}
+
+function columnSource(spec) {
+  return typeof spec === "string" ? spec : spec.from;
+}
+
+// Every export header a profile reads; an export missing one of them is a
+// different layout, not a sparse file.
+function profileSourceColumns(profile) {
+  const sources = Object.values(profile.columns || {}).map(columnSource);
+  if (profile.streetAddress) sources.push(profile.streetAddress);
+  return [...new Set(sources)];
+}
+
+function parseDateWithFormat(value, format) {
+  const raw = String(value || "").trim();
+  if (!raw || !format) return raw;
+  if (format === "epochMillis") {
+    if (!/^\d{10,}$/.test(raw)) return raw;
+    return new Date(Number(raw)).toISOString().slice(0, 10);
+  }
+
+  const parts = [];
+  const pattern = format.replace(/YYYY|MMMM|MMM|MM|M|DD|D|[.*+?^${}()|[\]\\]/g, (token) => {
+    if (token === "YYYY") { parts.push("year"); return "(\\d{4})"; }
+    if (token === "MMMM" || token === "MMM") { parts.push("monthName"); return "([A-Za-z]+)"; }
+    if (token === "MM" || token === "M") { parts.push("month"); return "(\\d{1,2})"; }
+    if (token === "DD" || token === "D") { parts.push("day"); return "(\\d{1,2})"; }
+    return `\\${token}`;
+  });
+  const match = raw.match(new RegExp(`^${pattern}(?:\\s.*)?$`));
+  if (!match) return raw;
+
+  const out = {};
+  parts.forEach((part, i) => { out[part] = match[i + 1]; });
+  let month = Number(out.month || 0);
+  if (out.monthName) {
+    const name = out.monthName.toLowerCase();
+    month = MONTH_NAMES.findIndex((m) => m === name || (name.length >= 3 && m.startsWith(name))) + 1;
+  }
+  const day = Number(out.day || 0);
+  if (!out.year || month < 1 || month > 12 || day < 1 || day > 31) return raw;
+  return `${out.year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+// "1520 NE 65th St #B" -> Street Number 1520, Street Name "NE 65th St", Unit B.
+// Direction and suffix stay in the name; the enricher's address keys normalize
+// the joined parts, so they do not need to be split out.
+function splitStreetAddress(text) {
+  let street = String(text || "").replace(/\s+/g, " ").trim();
+  let unit = "";
+  const unitMatch = street.match(/\s*(?:#\s*|\b(?:UNIT|APT|APARTMENT|STE|SUITE)\s+#?)([A-Z0-9-]+)$/i);
+  if (unitMatch) {
+    unit = unitMatch[1];
+    street = street.slice(0, unitMatch.index).replace(/,$/, "").trim();
+  }
+  const numberMatch = street.match(/^(\d+[A-Z]?(?:-\d+[A-Z]?)?)\s+(.+)$/i);
+  return {
+    "Street Number": numberMatch ? numberMatch[1] : "",
+    "Street Name": numberMatch ? numberMatch[2] : street,
+    Unit: unit,
+  };
+}
+
+function statusMatches(status, pattern) {
+  return new RegExp(pattern, "i").test(status);
+}
+
+// Turns one export row (keyed by its own headers) into the NWMLS column shape
+// readRealtorRows expects. Profiles without `columns` are already in that shape.
+function applyRealtorProfile(sourceRow, profile) {
+  if (!profile.columns) return sourceRow;
+
+  const statusMap = {};
+  Object.entries(profile.statusMap || {}).forEach(([from, to]) => { statusMap[from.toUpperCase()] = to; });
+  const rawStatus = String(sourceRow[columnSource(profile.columns.Status || "")] || "").trim();
+  const status = statusMap[rawStatus.toUpperCase()] || rawStatus;
+
+  const row = profile.streetAddress ? splitStreetAddress(sourceRow[profile.streetAddress]) : {};
+  Object.entries(profile.columns).forEach(([internal, spec]) => {
+    if (typeof spec === "object") {
+      if (spec.whenStatus && !statusMatches(status, spec.whenStatus)) return;
+      if (spec.unlessStatus && statusMatches(status, spec.unlessStatus)) return;
+    }
+    let value = String(sourceRow[columnSource(spec)] || "").trim();
+    if (internal === "Status") value = status;
+    else if (/Date$/.test(internal)) value = parseDateWithFormat(value, profile.dateFormat);
+    row[internal] = value;
+  });
+  return row;
+}
+
+module.exports = {
+  REALTOR_PROFILES_FILE,
+  applyRealtorProfile,
+  detectRealtorProfile,
+  findHeaderIndex,
+  loadProfileOverrides,
+  loadRealtorProfiles,
+  parseDateWithFormat,
+  profileSourceColumns,
+  splitStreetAddress,
+};
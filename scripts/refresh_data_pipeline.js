@@ -4,6 +4,7 @@
 const fs = require("fs");
 const path = require("path");
 const { spawnSync } = require("child_process");
+const { MANIFEST_FILE, readManifest } = require("./data_manifest");
 
 const PROJECT_DIR = path.resolve(__dirname, "..");
 const REPORT_FILE = path.join(PROJECT_DIR, "data_refresh_report.json");
@@ -20,12 +21,19 @@ function run(command, args) {
 }
 
 function parseArgs(argv) {
-  const flags = new Set(argv.slice(2));
+  const args = argv.slice(2);
+  const flags = new Set(args);
+  const historyArgs = [];
+  args.forEach((arg, i) => {
+    if (/^--(from|to|months)=/.test(arg)) historyArgs.push(arg);
+    if (/^--(from|to|months)$/.test(arg) && args[i + 1]) historyArgs.push(arg, args[i + 1]);
+  });
   return {
     skipPublic: flags.has("--skip-public"),
     skipMls: flags.has("--skip-mls"),
     reportOnly: flags.has("--report-only"),
     push: flags.has("--push"),
+    historyArgs,
   };
 }
 
@@ -44,11 +52,30 @@ function commitMessageFromReport() {
   return `data refresh ${ts} rows=${rows} mls=${mls} active=${active}`;
 }
 
+function manifestStageTargets() {
+  const manifest = readManifest();
+  if (!manifest) {
+    return [
+      "public_sales_proxy_all_prices_last12mo.csv",
+      "public_sales_proxy_mls_enriched_last12mo.csv",
+    ];
+  }
+  const files = [
+    manifest.publicProxy?.file,
+    ...(manifest.publicProxy?.partitions || []).map((p) => p.file),
+    manifest.mlsEnriched?.file,
+    manifest.repeatSalesIndex?.file,
+    manifest.bidCalibration?.file,
+  ].filter(Boolean);
+  return [path.basename(MANIFEST_FILE), ...new Set(files)];
+}
+
 function stageAndPush() {
   const stageTargets = [
-    "public_sales_proxy_all_prices_last12mo.csv",
-    "public_sales_proxy_mls_enriched_last12mo.csv",
+    ...manifestStageTargets(),
     "data_refresh_report.json",
+    ...["mls_join_audit.json", "mls_status_history.csv", "mls_snapshots"]
+      .filter((name) => fs.existsSync(path.join(PROJECT_DIR, name))),
     "index.html",
     "README.md",
     "DATA_SCHEMA.md",
@@ -77,10 +104,12 @@ function main() {
 
   if (!opts.reportOnly) {
     if (!opts.skipPublic) {
-      run("node", ["scripts/build_public_proxy_csv.js"]);
+      run("node", ["scripts/build_public_proxy_csv.js", ...opts.historyArgs]);
+      run("node", ["scripts/build_repeat_sales_index.js"]);
     }
     if (!opts.skipMls) {
       run("node", ["scripts/build_mls_enriched_dataset.js"]);
+      run("node", ["scripts/backtest_bid_model.js"]);
     }
   }
 
@@ -0,0 +1,553 @@
+"use strict";
+
+// Dataset row normalization shared by index.html (as window.RowNormalize), the
+// bid backtest and repeat-sales scripts, and the tests. rowsFromCsvRecords reads
+// the dataset columns; normalizeRow derives the labels, flags (presold new
+// build, teardown, sale qualification) and ratios every tab filters on.
+(function attachRowNormalize(root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  } else {
+    root.RowNormalize = api;
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function rowNormalizeFactory() {
+  const PRESOLD_NEW_BUILD_YEAR_MIN = 2023;
+  const TEARDOWN_LAND_SHARE_MIN = 0.7;
+  const TEARDOWN_YEAR_BUILT_MAX = 1960;
+  const TEARDOWN_IMPS_VALUE_MAX = 150000;
+
+  const TYPE_LABELS = {
+    "11": "Single Family",
+    "12": "Multi-Family (2-4 Units)",
+    "13": "Multi-Family (5+ Units)",
+    "14": "Condo",
+    "15": "Mobile home park/court",
+    "18": "Other Residential",
+    "19": "Vacation/cabin",
+    "50": "Commercial / Non-Residential Condo",
+    "91": "Land",
+  };
+
+  const ZIP_NEIGHBORHOOD = {
+    "98101": "Downtown",
+    "98102": "Capitol Hill / Eastlake",
+    "98103": "Fremont / Green Lake / Wallingford",
+    "98104": "Pioneer Square / International District",
+    "98105": "University District / Laurelhurst",
+    "98106": "Delridge / South Park",
+    "98107": "Ballard",
+    "98108": "Georgetown / South Park",
+    "98109": "South Lake Union / Queen Anne",
+    "98111": "Downtown",
+    "98112": "Capitol Hill / Madison Park",
+    "98115": "Ravenna / Wedgwood",
+    "98116": "West Seattle",
+    "98117": "Ballard / Crown Hill",
+    "98118": "Columbia City / Rainier Valley",
+    "98119": "Queen Anne / Magnolia",
+    "98121": "Belltown",
+    "98122": "Capitol Hill / Central District",
+    "98124": "Downtown",
+    "98125": "Lake City / North Seattle",
+    "98126": "West Seattle / Delridge",
+    "98133": "Northgate / Bitter Lake",
+    "98134": "SoDo",
+    "98136": "West Seattle / Fauntleroy",
+    "98144": "Mount Baker / Central District",
+    "98154": "Downtown",
+    "98164": "Downtown",
+    "98174": "Downtown",
+    "98177": "North Beach / Crown Hill",
+    "98194": "Downtown",
+    "98199": "Magnolia",
+  };
+
+  const ZIP_COORDS = {
+    "98101": { lat: 47.6101, lon: -122.3344 },
+    "98102": { lat: 47.634, lon: -122.322 },
+    "98103": { lat: 47.671, lon: -122.343 },
+    "98104": { lat: 47.602, lon: -122.328 },
+    "98105": { lat: 47.661, lon: -122.3 },
+    "98106": { lat: 47.536, lon: -122.356 },
+    "98107": { lat: 47.669, lon: -122.383 },
+    "98108": { lat: 47.547, lon: -122.322 },
+    "98109": { lat: 47.632, lon: -122.346 },
+    "98111": { lat: 47.609, lon: -122.334 },
+    "98112": { lat: 47.629, lon: -122.298 },
+    "98115": { lat: 47.684, lon: -122.296 },
+    "98116": { lat: 47.576, lon: -122.4 },
+    "98117": { lat: 47.687, lon: -122.381 },
+    "98118": { lat: 47.54, lon: -122.275 },
+    "98119": { lat: 47.638, lon: -122.369 },
+    "98121": { lat: 47.615, lon: -122.349 },
+    "98122": { lat: 47.611, lon: -122.305 },
+    "98124": { lat: 47.605, lon: -122.334 },
+    "98125": { lat: 47.717, lon: -122.304 },
+    "98126": { lat: 47.553, lon: -122.374 },
+    "98133": { lat: 47.732, lon: -122.344 },
+    "98134": { lat: 47.579, lon: -122.326 },
+    "98136": { lat: 47.54, lon: -122.39 },
+    "98144": { lat: 47.586, lon: -122.302 },
+    "98154": { lat: 47.606, lon: -122.334 },
+    "98164": { lat: 47.604, lon: -122.329 },
+    "98174": { lat: 47.604, lon: -122.33 },
+    "98177": { lat: 47.742, lon: -122.375 },
+    "98194": { lat: 47.607, lon: -122.332 },
+    "98199": { lat: 47.648, lon: -122.397 },
+  };
+
+  function toDate(value) {
+    if (!value) return null;
+    const raw = String(value).trim();
+    if (!raw) return null;
+    const iso = /^\d{4}-\d{2}-\d{2}$/;
+    const d = iso.test(raw) ? new Date(`${raw}T00:00:00`) : new Date(raw);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+
+  function toIso(value) {
+    const d = toDate(value);
+    if (!d) return "";
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+  }
+
+  function num(v) {
+    if (v === null || v === undefined || v === "") return 0;
+    const n = Number(String(v).replace(/[^0-9.-]/g, ""));
+    return Number.isFinite(n) ? n : 0;
+  }
+
+  function daysBetween(a, b) {
+    const d1 = toDate(a);
+    const d2 = toDate(b);
+    if (!d1 || !d2) return null;
+    return Math.round((d2 - d1) / (1000 * 60 * 60 * 24));
+  }
+
+  function zip5(zip) {
+    return (String(zip || "").match(/[0-9]{5}/) || [])[0] || "";
+  }
+
+  function titleCase(text) {
+    return String(text || "")
+      .toLowerCase()
+      .replace(/\b\w/g, (m) => m.toUpperCase());
+  }
+
+  function inferMode(row) {
+    if (row.dataMode) return row.dataMode;
+    const hasMls = row.mlsListDate || row.mlsPendingDate || row.mlsListPriceAtPending || row.mlsClosePrice;
+    return hasMls ? "MLS_ENRICHED" : "PUBLIC_PROXY";
+  }
+
+  function labelNeighborhood(rawNeighborhood, zip) {
+    const raw = String(rawNeighborhood || "").trim();
+    const z = (String(zip || "").match(/[0-9]{5}/) || [])[0] || "";
+    const broadMlsRegion = /^(nw|ne)\s+seattle$/i.test(raw)
+      || /^qa[\s/_-]*magnolia$/i.test(raw)
+      || /^central[\s/_-]*south\s+seattle$/i.test(raw);
+    if (/[a-z]/i.test(raw) && !broadMlsRegion) return raw;
+    return ZIP_NEIGHBORHOOD[z] || "Seattle (Other)";
+  }
+
+  function labelType(rawType, typeCode) {
+    const raw = String(rawType || "").trim();
+    if (/[a-z]/i.test(raw)) {
+      const pretty = /^[A-Z0-9\s,()\-]+$/.test(raw) ? titleCase(raw) : raw;
+      const norm = pretty.toLowerCase();
+      if (norm.includes("single family")) return "Single Family";
+      if (norm.includes("condomini")) return "Condo";
+      if (norm.includes("2-4 units")) return "Multi-Family (2-4 Units)";
+      if (norm.includes("5+ units")) return "Multi-Family (5+ Units)";
+      if (norm.includes("land")) return "Land";
+      return pretty;
+    }
+    const code = String(num(typeCode || raw) || "");
+    return TYPE_LABELS[code] || (code ? `Type ${code}` : "Unknown");
+  }
+
+  function normalizeMlsStatus(rawStatus) {
+    const raw = String(rawStatus || "").trim();
+    if (!raw) return "";
+    const upper = raw.toUpperCase();
+    if (upper === "SOLD") return "Sold";
+    if (upper === "ACTIVE") return "Active";
+    if (upper === "PENDING") return "Pending";
+    if (upper === "PENDING INSPECTION") return "Pending Inspection";
+    if (upper === "PENDING BU REQUESTED") return "Pending BU Requested";
+    if (upper === "CONTINGENT") return "Contingent";
+    return /^[A-Z0-9\s/-]+$/.test(raw) ? titleCase(raw) : raw;
+  }
+
+  function normalizeBooleanText(rawValue) {
+    const raw = String(rawValue || "").trim();
+    if (!raw) return "";
+    if (/^(true|yes|y|1)$/i.test(raw)) return "true";
+    if (/^(false|no|n|0)$/i.test(raw)) return "false";
+    return raw;
+  }
+
+  function normalizeThirdPartyApproval(rawValue) {
+    const raw = String(rawValue || "").trim();
+    if (!raw) return "";
+    if (/^none$/i.test(raw)) return "None";
+    if (/^short sale$/i.test(raw)) return "Short Sale";
+    if (/^other\b/i.test(raw)) return "Other - See Remarks";
+    return raw;
+  }
+
+  function isBankOwnedFlag(value) {
+    return String(value || "").trim().toLowerCase() === "true";
+  }
+
+  function hasThirdPartyApprovalRequirement(value) {
+    const raw = String(value || "").trim();
+    if (!raw) return false;
+    return !/^none$/i.test(raw) && !/^false$/i.test(raw) && !/^no$/i.test(raw);
+  }
+
+  function mapPropertyKey(rowLike) {
+    const id = String(rowLike.id || "").trim();
+    const parcel = String(rowLike.parcelNbr || `${rowLike.major || ""}${rowLike.minor || ""}`).replace(/[^0-9]/g, "");
+    const saleDate = String(rowLike.saleDate || rowLike.pendingDate || rowLike.listDate || "").trim();
+    const addr = String(rowLike.address || "").trim().toUpperCase();
+    const idx = String(rowLike.sourceRowIndex || "").trim();
+    return [id, parcel, saleDate, addr, idx].join("|");
+  }
+
+  // Dataset CSV records (header first, as returned by CsvParser.parseCsvText)
+  // to source rows for normalizeRow.
+  function rowsFromCsvRecords(records) {
+    if (records.length < 2) return [];
+    const headers = records[0];
+    const idx = Object.fromEntries(headers.map((h, i) => [h, i]));
+
+    const required = ["id", "address", "type", "closePrice"];
+    const missing = required.filter((k) => idx[k] === undefined);
+    if (missing.length) throw new Error(`Missing required columns: ${missing.join(", ")}`);
+
+    return records.slice(1).map((cols, rowIndex) => {
+      const pick = (name) => (idx[name] !== undefined ? (cols[idx[name]] || "").trim() : "");
+      const pickAny = (...names) => {
+        for (let i = 0; i < names.length; i += 1) {
+          const value = pick(names[i]);
+          if (value !== "") return value;
+        }
+        return "";
+      };
+      const latVal = num(pick("lat"));
+      const lonVal = num(pick("lon"));
+      const lat = Math.abs(latVal) > 1 ? latVal : null;
+      const lon = Math.abs(lonVal) > 1 ? lonVal : null;
+      return {
+        dataMode: pick("dataMode"),
+        id: pick("id"),
+        address: pick("address"),
+        addressSource: pick("addressSource"),
+        major: pick("major"),
+        minor: pick("minor"),
+        parcelNbr: pick("parcelNbr"),
+        neighborhood: pick("neighborhood"),
+        type: pick("type"),
+        typeCode: pick("typeCode"),
+        listDate: pick("listDate"),
+        pendingDate: pick("pendingDate"),
+        saleDate: pick("saleDate"),
+        originalListPrice: num(pick("originalListPrice")),
+        pendingListPrice: num(pick("pendingListPrice")),
+        listPriceAtPending: num(pick("listPriceAtPending")),
+        closePrice: num(pick("closePrice")),
+        assessedValue: num(pick("assessedValue")),
+        landValue: num(pick("landValue")),
+        improvementValue: num(pick("improvementValue")),
+        saleQualification: pick("saleQualification"),
+        condoComplexName: pick("condoComplexName"),
+        condoFloor: pick("condoFloor"),
+        condoComplexUnits: num(pick("condoComplexUnits")),
+        saleParcelCount: num(pick("saleParcelCount")),
+        salePriceTotal: num(pick("salePriceTotal")),
+        priceAllocation: pick("priceAllocation"),
+        beds: num(pick("beds")),
+        baths: num(pick("baths")),
+        sqft: num(pick("sqft")),
+        sqFtLot: num(pick("sqFtLot")),
+        zoning: pick("zoning"),
+        zoningRuleZone: pick("zoningRuleZone"),
+        maxUnitsAllowedRaw: pick("maxUnitsAllowed"),
+        daduEligible: pick("daduEligible"),
+        yearBuilt: num(pick("yearBuilt")),
+        zip: pick("zip"),
+        lat,
+        lon,
+        sourceRowIndex: rowIndex + 1,
+        mlsListDate: pickAny("mlsListDate", "mlsListingDate"),
+        mlsPendingDate: pickAny("mlsPendingDate", "mlsContractualDate"),
+        mlsListPriceAtPending: num(pickAny("mlsListPriceAtPending", "mlsListingPrice")),
+        mlsListingPrice: num(pickAny("mlsListingPrice", "mlsListPriceAtPending")),
+        mlsOriginalPrice: num(pick("mlsOriginalPrice")),
+        mlsClosePrice: num(pickAny("mlsClosePrice", "mlsSellingPrice")),
+        mlsRegion: pick("mlsRegion"),
+        mlsListingNumber: pick("mlsListingNumber"),
+        isBackOnMarketRaw: pick("isBackOnMarket"),
+        relistCount: num(pick("relistCount")),
+        priorListPrice: num(pick("priorListPrice")),
+        marketEventReason: pick("marketEventReason"),
+        mlsStyleCode: pick("mlsStyleCode"),
+        mlsDOMRaw: pick("mlsDOM"),
+        mlsStatus: pick("mlsStatus"),
+        mlsDOM: num(pick("mlsDOM")),
+        mlsCDOMRaw: pick("mlsCDOM"),
+        mlsCDOM: num(pick("mlsCDOM")),
+        mlsParkingType: pick("mlsParkingType"),
+        mlsParkingCoveredTotalRaw: pick("mlsParkingCoveredTotal"),
+        mlsTaxesAnnualRaw: pick("mlsTaxesAnnual"),
+        mlsBuildingCondition: pick("mlsBuildingCondition"),
+        mlsView: pick("mlsView"),
+        mlsBankOwnedRaw: pick("mlsBankOwned"),
+        mlsThirdPartyApprovalRequiredRaw: pick("mlsThirdPartyApprovalRequired"),
+        mlsNewConstructionState: pick("mlsNewConstructionState"),
+        mlsSquareFootageSource: pick("mlsSquareFootageSource"),
+        hotMarketTag: pick("hotMarketTag"),
+        saleToListRatio: num(pick("saleToListRatio")),
+        saleToOriginalListRatio: num(pick("saleToOriginalListRatio")),
+        bidUpAmount: num(pick("bidUpAmount")),
+        bidUpPct: num(pick("bidUpPct")),
+        bidStrategy: pick("bidStrategy"),
+        bidSuggested: num(pick("bidSuggested")),
+        bidLow: num(pick("bidLow")),
+        bidHigh: num(pick("bidHigh")),
+        bidRatio: num(pick("bidRatio")),
+        bidConfidence: num(pick("bidConfidence")),
+        bidConfidenceLabel: pick("bidConfidenceLabel"),
+        bidCompCount: num(pick("bidCompCount")),
+        bidCompTier: pick("bidCompTier"),
+        bidStatus: pick("bidStatus"),
+      };
+    });
+  }
+
+  function normalizeRow(source) {
+    const dataMode = inferMode(source);
+    const saleDate = source.saleDate || source.pendingDate || source.listDate || "";
+    const listDate = source.mlsListDate || source.listDate || "";
+    const pendingDate = source.mlsPendingDate || source.pendingDate || "";
+
+    const isPublicProxy = dataMode === "PUBLIC_PROXY";
+    const closePrice = num(source.mlsClosePrice || source.closePrice);
+    const assessedValue = num(source.assessedValue);
+    // Public-proxy rows have no asking price; older extracts stored assessed value as List@Pending.
+    const pendingListPrice = isPublicProxy ? 0 : num(
+      source.mlsListingPrice
+      || source.mlsListPriceAtPending
+      || source.pendingListPrice
+      || source.listPriceAtPending
+    );
+    const originalListPriceRaw = isPublicProxy ? 0 : num(source.mlsOriginalPrice || source.originalListPrice);
+    const originalListPrice = originalListPriceRaw > 0 ? originalListPriceRaw : 0;
+    const listPriceAtPending = pendingListPrice;
+
+    const daysToPendingRaw = daysBetween(listDate, pendingDate);
+    const daysToPending = dataMode === "MLS_ENRICHED" ? daysToPendingRaw : null;
+    const mlsDOMRaw = String(source.mlsDOMRaw ?? source.mlsDOM ?? "").trim();
+    const hasMlsDomValue = mlsDOMRaw !== "";
+    const mlsDOM = num(mlsDOMRaw);
+    const mlsCDOMRaw = String(source.mlsCDOMRaw ?? source.mlsCDOM ?? "").trim();
+    const hasMlsCdomValue = mlsCDOMRaw !== "";
+    const mlsCDOM = num(mlsCDOMRaw);
+    const marketDomDays = hasMlsCdomValue
+      ? mlsCDOM
+      : (hasMlsDomValue ? mlsDOM : daysToPending);
+    const saleToList = pendingListPrice > 0
+      ? (num(source.saleToListRatio) || closePrice / pendingListPrice)
+      : 0;
+    const saleToOriginalList = originalListPrice > 0
+      ? (num(source.saleToOriginalListRatio) || closePrice / originalListPrice)
+      : 0;
+    const delta = listPriceAtPending > 0 ? (num(source.bidUpAmount) || (closePrice - listPriceAtPending)) : 0;
+    const deltaPct = listPriceAtPending > 0 ? (num(source.bidUpPct) || delta / listPriceAtPending) : 0;
+    const saleToAssessed = assessedValue > 0 && closePrice > 0 ? closePrice / assessedValue : 0;
+    const tagRaw = String(source.hotMarketTag || "").toUpperCase();
+    const ultraByTag = /ULTRA[_\s]?HOT/.test(tagRaw);
+    const hotByTag = /HOT_MARKET/.test(tagRaw) || ultraByTag;
+    const ultraByDom = marketDomDays !== null && Number.isFinite(marketDomDays) && marketDomDays <= 5;
+    const hotByDom = marketDomDays !== null && Number.isFinite(marketDomDays) && marketDomDays <= 10;
+    const isUltraHot = ultraByTag || ultraByDom;
+    const isHotMarket = isUltraHot || hotByTag || hotByDom;
+    const sqft = num(source.sqft);
+    const lotSize = num(source.sqFtLot);
+    const pricePerSqft = sqft > 0 ? closePrice / sqft : 0;
+    const mlsStatusLabel = normalizeMlsStatus(source.mlsStatus);
+    const mlsStatusNorm = mlsStatusLabel.toUpperCase();
+    const styleCode = String(source.mlsStyleCode || "").trim();
+    const mlsParkingCoveredTotalRaw = String(source.mlsParkingCoveredTotalRaw ?? source.mlsParkingCoveredTotal ?? "").trim();
+    const mlsTaxesAnnualRaw = String(source.mlsTaxesAnnualRaw ?? source.mlsTaxesAnnual ?? "").trim();
+    const mlsBankOwned = normalizeBooleanText(source.mlsBankOwnedRaw ?? source.mlsBankOwned);
+    const mlsThirdPartyApprovalRequired = normalizeThirdPartyApproval(
+      source.mlsThirdPartyApprovalRequiredRaw ?? source.mlsThirdPartyApprovalRequired
+    );
+    const hasMlsParkingCoveredTotal = mlsParkingCoveredTotalRaw !== "";
+    const hasMlsTaxesAnnual = mlsTaxesAnnualRaw !== "";
+    const isBankOwned = isBankOwnedFlag(mlsBankOwned);
+    const hasThirdPartyApproval = hasThirdPartyApprovalRequirement(mlsThirdPartyApprovalRequired);
+    const isSpecialSale = isBankOwned || hasThirdPartyApproval;
+    const hasNewBuildSignal = num(source.yearBuilt) >= PRESOLD_NEW_BUILD_YEAR_MIN
+      || /townhouse|new construction|new build/i.test(styleCode);
+    const hasSoldContext = dataMode === "MLS_ENRICHED" && closePrice > 0 && listPriceAtPending > 0;
+    const domLeZero = hasMlsDomValue && mlsDOM <= 0;
+    const saleEqualsList = Math.abs(closePrice - listPriceAtPending) < 1;
+    const isLikelyPresoldNewBuild = hasSoldContext && domLeZero && saleEqualsList && hasNewBuildSignal;
+    const presoldReasonTokens = [];
+    if (isLikelyPresoldNewBuild) {
+      presoldReasonTokens.push("dom_le_0");
+      presoldReasonTokens.push("sale_eq_list");
+      if (num(source.yearBuilt) >= PRESOLD_NEW_BUILD_YEAR_MIN) presoldReasonTokens.push("year_built_gte_2023");
+      if (/townhouse|new construction|new build/i.test(styleCode)) presoldReasonTokens.push("style_new_build_signal");
+    }
+    const presoldRuleReason = presoldReasonTokens.join("|");
+    const landValue = num(source.landValue);
+    const improvementValue = num(source.improvementValue);
+    const landShare = landValue > 0 && landValue + improvementValue > 0 ? landValue / (landValue + improvementValue) : 0;
+    const yearBuilt = num(source.yearBuilt);
+    const teardownReasonTokens = [];
+    if (landShare >= TEARDOWN_LAND_SHARE_MIN) {
+      if (yearBuilt > 0 && yearBuilt <= TEARDOWN_YEAR_BUILT_MAX) teardownReasonTokens.push("year_built_lte_1960");
+      if (improvementValue <= TEARDOWN_IMPS_VALUE_MAX) teardownReasonTokens.push("imps_value_lte_150k");
+      if (teardownReasonTokens.length) teardownReasonTokens.unshift("land_share_gte_70");
+    }
+    const isTeardownCandidate = teardownReasonTokens.length > 0;
+    const teardownRuleReason = teardownReasonTokens.join("|");
+    const zoningRuleZone = String(source.zoningRuleZone || "").trim();
+    const maxUnitsAllowedRaw = String(source.maxUnitsAllowedRaw ?? source.maxUnitsAllowed ?? "").trim();
+    // A matched zone with a blank unit count has no density limit.
+    const maxUnitsAllowed = maxUnitsAllowedRaw !== "" ? num(maxUnitsAllowedRaw) : (zoningRuleZone ? Infinity : null);
+    const isDaduEligible = String(source.daduEligible || "").trim().toLowerCase() === "true";
+    const saleQualification = String(source.saleQualification || "").trim();
+    const qualificationTokens = saleQualification.split("|").map((t) => t.trim()).filter(Boolean);
+    const isQualifiedSale = String(qualificationTokens[0] || "").toLowerCase() !== "excluded";
+    const saleQualificationReason = isQualifiedSale ? "" : qualificationTokens.slice(1).join("|");
+    const saleParcelCount = Math.max(1, Math.round(num(source.saleParcelCount)));
+    const isMultiParcelSale = saleParcelCount > 1;
+    const zipCoord = ZIP_COORDS[zip5(source.zip)];
+    const mapLat = Number.isFinite(source.lat) ? source.lat : (zipCoord ? zipCoord.lat : null);
+    const mapLon = Number.isFinite(source.lon) ? source.lon : (zipCoord ? zipCoord.lon : null);
+    const hasActualClose = closePrice > 0 && !!toIso(saleDate);
+    const effectiveDate = toIso(saleDate || pendingDate || listDate);
+
+    return {
+      ...source,
+      mapPropertyKey: mapPropertyKey(source),
+      dataMode,
+      typeLabel: labelType(source.type, source.typeCode),
+      neighborhoodLabel: labelNeighborhood(source.neighborhood, source.zip),
+      mlsStatusLabel,
+      mlsStatusNorm,
+      mlsRegion: source.mlsRegion || "",
+      mlsStyleCode: styleCode,
+      mlsParkingType: String(source.mlsParkingType || "").trim(),
+      mlsParkingCoveredTotal: hasMlsParkingCoveredTotal ? num(mlsParkingCoveredTotalRaw) : 0,
+      mlsParkingCoveredTotalRaw,
+      hasMlsParkingCoveredTotal,
+      mlsTaxesAnnual: hasMlsTaxesAnnual ? num(mlsTaxesAnnualRaw) : 0,
+      mlsTaxesAnnualRaw,
+      hasMlsTaxesAnnual,
+      mlsBuildingCondition: String(source.mlsBuildingCondition || "").trim(),
+      mlsView: String(source.mlsView || "").trim(),
+      mlsBankOwned,
+      isBankOwned,
+      mlsThirdPartyApprovalRequired,
+      hasThirdPartyApprovalRequirement: hasThirdPartyApproval,
+      isSpecialSale,
+      isBackOnMarket: String(source.isBackOnMarketRaw ?? source.isBackOnMarket ?? "").trim().toLowerCase() === "true",
+      relistCount: Math.max(0, Math.round(num(source.relistCount))),
+      priorListPrice: num(source.priorListPrice),
+      marketEventReason: String(source.marketEventReason || "").trim(),
+      mlsNewConstructionState: String(source.mlsNewConstructionState || "").trim(),
+      mlsSquareFootageSource: String(source.mlsSquareFootageSource || "").trim(),
+      saleDate: toIso(saleDate),
+      listDate: toIso(listDate),
+      pendingDate: toIso(pendingDate),
+      effectiveDate,
+      hasActualClose,
+      isProjectionRow: false,
+      projectedClosePrice: 0,
+      projectedCloseLow: 0,
+      projectedCloseHigh: 0,
+      projectionBasisCount: 0,
+      closePrice,
+      assessedValue,
+      pendingListPrice,
+      originalListPrice,
+      listPriceAtPending,
+      mlsDOM,
+      mlsCDOM,
+      hasMlsDomValue,
+      hasMlsCdomValue,
+      beds: num(source.beds),
+      baths: num(source.baths),
+      sqft,
+      lotSize,
+      yearBuilt: num(source.yearBuilt),
+      daysToPending,
+      saleToList,
+      saleToOriginalList,
+      saleToAssessed,
+      delta,
+      deltaPct,
+      bidStrategy: source.bidStrategy || "",
+      bidSuggested: num(source.bidSuggested),
+      bidLow: num(source.bidLow),
+      bidHigh: num(source.bidHigh),
+      bidRatio: num(source.bidRatio),
+      bidConfidence: num(source.bidConfidence),
+      bidConfidenceLabel: source.bidConfidenceLabel || "N/A",
+      bidCompCount: num(source.bidCompCount),
+      bidCompTier: source.bidCompTier || "NONE",
+      bidStatus: source.bidStatus || "",
+      hotMarketTag: isUltraHot ? "ULTRA_HOT_<=5D" : (isHotMarket ? "HOT_MARKET_<=10D" : ""),
+      isUltraHot,
+      isHotMarket,
+      isLikelyPresoldNewBuild,
+      presoldRuleReason,
+      landValue,
+      improvementValue,
+      landShare,
+      isTeardownCandidate,
+      teardownRuleReason,
+      zoning: String(source.zoning || "").trim(),
+      zoningRuleZone,
+      maxUnitsAllowed,
+      isDaduEligible,
+      saleQualification,
+      isQualifiedSale,
+      saleQualificationReason,
+      saleParcelCount,
+      isMultiParcelSale,
+      condoComplexName: String(source.condoComplexName || "").trim(),
+      condoFloor: String(source.condoFloor || "").trim(),
+      condoComplexUnits: num(source.condoComplexUnits),
+      salePriceTotal: num(source.salePriceTotal) || closePrice,
+      priceAllocation: String(source.priceAllocation || "").trim() || (isMultiParcelSale ? "unallocated" : "single"),
+      pricePerSqft,
+      mapLat,
+      mapLon,
+    };
+  }
+
+  return {
+    PRESOLD_NEW_BUILD_YEAR_MIN,
+    TYPE_LABELS,
+    ZIP_COORDS,
+    ZIP_NEIGHBORHOOD,
+    daysBetween,
+    labelNeighborhood,
+    labelType,
+    normalizeMlsStatus,
+    normalizeRow,
+    num,
+    rowsFromCsvRecords,
+    toDate,
+    toIso,
+    zip5,
+  };
+});
@@ -44,7 +44,9 @@ function checkUiContract(html) {
     ["tab-overview", "view-overview"],
     ["tab-charts", "view-charts"],
     ["tab-heat", "view-heat"],
+    ["tab-equity", "view-equity"],
     ["tab-bids", "view-bids"],
+    ["tab-cuts", "view-cuts"],
     ["tab-geo", "view-geo"],
     ["tab-records", "view-records"],
     ["tab-data", "view-data"],
@@ -72,6 +74,14 @@ function checkUiContract(html) {
   if (!html.includes("data-use-active-bid")) {
     fail("Missing active-listing quick-use action (data-use-active-bid)");
   }
+
+  if (!html.includes("<script src=\"scripts/csv_parser.js\"></script>")) {
+    fail("Missing shared CSV parser script (scripts/csv_parser.js)");
+  }
+
+  if (!html.includes("<script src=\"scripts/bid_model.js\"></script>")) {
+    fail("Missing shared bid model script (scripts/bid_model.js)");
+  }
 }
 
 function runSyntaxChecks() {
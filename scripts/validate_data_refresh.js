@@ -3,10 +3,17 @@
 
 const fs = require("fs");
 const path = require("path");
+const { parseCsvLine, parseCsvText } = require("./csv_parser");
+const {
+  LEGACY_ENRICHED_FILE,
+  LEGACY_PUBLIC_FILE,
+  readManifest,
+  resolveManifestFile,
+} = require("./data_manifest");
 
 const PROJECT_DIR = path.resolve(__dirname, "..");
-const PUBLIC_FILE = path.join(PROJECT_DIR, "public_sales_proxy_all_prices_last12mo.csv");
-const ENRICHED_FILE = path.join(PROJECT_DIR, "public_sales_proxy_mls_enriched_last12mo.csv");
+const PUBLIC_FILE = resolveManifestFile("publicProxy", LEGACY_PUBLIC_FILE);
+const ENRICHED_FILE = resolveManifestFile("mlsEnriched", LEGACY_ENRICHED_FILE);
 const REALTOR_DIR = path.join(PROJECT_DIR, "realtor_exports");
 const REPORT_FILE = path.join(PROJECT_DIR, "data_refresh_report.json");
 
@@ -38,44 +45,16 @@ const REQUIRED_ENRICHED_COLUMNS = [
   "bidUpPct",
 ];
 
-function parseCsvLine(line) {
-  const out = [];
-  let cur = "";
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i += 1) {
-    const ch = line[i];
-    if (ch === "\"") {
-      if (inQuotes && line[i + 1] === "\"") {
-        cur += "\"";
-        i += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (ch === "," && !inQuotes) {
-      out.push(cur.trim());
-      cur = "";
-    } else {
-      cur += ch;
-    }
-  }
-  out.push(cur.trim());
-  return out;
-}
-
 function readHeader(filePath) {
-  const text = fs.readFileSync(filePath, "utf8");
-  const firstLine = text.split(/\r?\n/).find((line) => line.trim());
-  if (!firstLine) return [];
-  return parseCsvLine(firstLine);
+  const records = parseCsvText(fs.readFileSync(filePath, "utf8"));
+  return records.length ? records[0] : [];
 }
 
 function readRows(filePath) {
-  const text = fs.readFileSync(filePath, "utf8");
-  const lines = text.split(/\r?\n/).filter((line) => line.trim());
-  if (lines.length < 2) return [];
-  const headers = parseCsvLine(lines[0]);
-  return lines.slice(1).map((line) => {
-    const cols = parseCsvLine(line);
+  const records = parseCsvText(fs.readFileSync(filePath, "utf8"));
+  if (records.length < 2) return [];
+  const headers = records[0];
+  return records.slice(1).map((cols) => {
     const row = {};
     headers.forEach((h, i) => {
       row[h] = cols[i] || "";
@@ -120,6 +99,12 @@ function main() {
   if (!fs.existsSync(PUBLIC_FILE)) errors.push(`Missing file: ${PUBLIC_FILE}`);
   if (!fs.existsSync(ENRICHED_FILE)) errors.push(`Missing file: ${ENRICHED_FILE}`);
 
+  const manifest = readManifest();
+  const partitions = Array.isArray(manifest?.publicProxy?.partitions) ? manifest.publicProxy.partitions : [];
+  partitions.forEach((p) => {
+    if (!fs.existsSync(path.join(PROJECT_DIR, p.file))) warnings.push(`Missing year partition: ${p.file}`);
+  });
+
   const realtorFiles = listRealtorFiles();
   if (!realtorFiles.length) {
     warnings.push(`No realtor CSV files found in ${REALTOR_DIR}. MLS enrichment may be stale.`);
@@ -133,6 +118,9 @@ function main() {
     files: {
       public: path.basename(PUBLIC_FILE),
       enriched: path.basename(ENRICHED_FILE),
+      historyStart: manifest?.publicProxy?.rangeStart || "",
+      historyEnd: manifest?.publicProxy?.rangeEnd || "",
+      yearPartitions: partitions.map((p) => p.file),
       realtorCsvCount: realtorFiles.length,
     },
     counts: {},
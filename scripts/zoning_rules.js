@@ -0,0 +1,62 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const PROJECT_DIR = path.resolve(__dirname, "..");
+const ZONING_RULES_FILE = path.resolve(process.env.ZONING_RULES_FILE || path.join(PROJECT_DIR, "zoning_rules.json"));
+
+function loadZoningRules(file = ZONING_RULES_FILE) {
+  if (!fs.existsSync(file)) throw new Error(`Missing zoning rules file: ${file}`);
+  const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!parsed || !parsed.version || !Array.isArray(parsed.zones)) {
+    throw new Error(`Zoning rules file must have a version and a zones array: ${file}`);
+  }
+  return {
+    version: String(parsed.version),
+    zones: parsed.zones.map((zone) => ({ ...zone, regex: new RegExp(zone.pattern, "i") })),
+  };
+}
+
+function normalizeZoningCode(zoning) {
+  return String(zoning || "")
+    .toUpperCase()
+    .replace(/\(M\d?\)/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function matchZoningRule(zoning, rules) {
+  const code = normalizeZoningCode(zoning);
+  if (!code) return null;
+  return rules.zones.find((zone) => zone.regex.test(code)) || null;
+}
+
+function deriveZoningCapacity(zoning, sqFtLot, rules) {
+  const rule = matchZoningRule(zoning, rules);
+  if (!rule) return { zoningRuleZone: "", maxUnitsAllowed: "", daduEligible: "" };
+
+  const lot = Number(sqFtLot || 0);
+  let maxUnitsAllowed = "";
+  if (rule.unitsPerLot === 0) {
+    maxUnitsAllowed = 0;
+  } else if (rule.lotSqftPerUnit) {
+    const conforming = lot > 0 && lot >= Number(rule.minLotSqft || 0);
+    const byDensity = lot > 0 ? Math.floor(lot / rule.lotSqftPerUnit) : 0;
+    maxUnitsAllowed = conforming ? Math.max(rule.unitsPerLot || 1, byDensity) : Math.max(1, byDensity);
+  }
+  const daduEligible = !!rule.daduEligible && lot > 0 && lot >= Number(rule.daduMinLotSqft || 0);
+  return {
+    zoningRuleZone: rule.zone,
+    maxUnitsAllowed,
+    daduEligible: daduEligible ? "true" : "false",
+  };
+}
+
+module.exports = {
+  ZONING_RULES_FILE,
+  deriveZoningCapacity,
+  loadZoningRules,
+  matchZoningRule,
+  normalizeZoningCode,
+};
@@ -0,0 +1,111 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  buildAppealCompPool,
+  computeAppealEstimate,
+  findAppealSubject,
+  parcelDigits,
+} = require("../scripts/appeal_comps.js");
+
+const AS_OF = new Date(2026, 2, 20);
+
+function row(overrides) {
+  return {
+    address: "1 Main St",
+    parcelNbr: "",
+    neighborhoodLabel: "Ballard",
+    typeLabel: "Single Family",
+    zip: "98107",
+    hasActualClose: true,
+    closePrice: 0,
+    saleDate: "2026-01-15",
+    effectiveDate: "2026-01-15",
+    assessedValue: 0,
+    sqft: 1500,
+    beds: 3,
+    yearBuilt: 1940,
+    pricePerSqft: 0,
+    isQualifiedSale: true,
+    isMultiParcelSale: false,
+    isLikelyPresoldNewBuild: false,
+    ...overrides,
+  };
+}
+
+function comp(i, psf, overrides = {}) {
+  return row({
+    address: `${100 + i} NW 60th St`,
+    parcelNbr: `27690000${String(i).padStart(2, "0")}`,
+    closePrice: psf * 1500,
+    pricePerSqft: psf,
+    ...overrides,
+  });
+}
+
+const subject = row({
+  address: "6012 24th Ave NW",
+  parcelNbr: "2769000500",
+  assessedValue: 1200000,
+  closePrice: 0,
+  hasActualClose: false,
+  effectiveDate: "",
+});
+
+test("findAppealSubject matches parcel numbers and address prefixes", () => {
+  const older = { ...subject, assessedValue: 0, effectiveDate: "2020-05-01" };
+  const rows = [older, subject, comp(1, 600)];
+  assert.equal(parcelDigits({ major: "276900", minor: "0500" }), "2769000500");
+  assert.equal(findAppealSubject("276900-0500", rows), subject);
+  assert.equal(findAppealSubject("6012 24th ave nw", rows), subject);
+  assert.equal(findAppealSubject("6012 24th", rows), subject);
+  assert.equal(findAppealSubject("6012 24", rows), null);
+  assert.equal(findAppealSubject("", rows), null);
+});
+
+test("buildAppealCompPool keeps recent qualified sales within the size, bed and age tolerances", () => {
+  const pool = buildAppealCompPool(subject, [
+    comp(1, 600),
+    comp(2, 600, { sqft: 1900 }),
+    comp(3, 600, { beds: 5 }),
+    comp(4, 600, { yearBuilt: 1990 }),
+    comp(5, 600, { saleDate: "2024-11-01" }),
+    comp(6, 600, { isQualifiedSale: false }),
+    comp(7, 600, { isMultiParcelSale: true }),
+    comp(8, 600, { parcelNbr: "2769000500" }),
+  ], AS_OF);
+  assert.deepEqual(pool.map((r) => r.address), ["101 NW 60th St"]);
+});
+
+test("computeAppealEstimate prices the subject at the comps' median $/sqft", () => {
+  const psfs = [500, 550, 600, 650, 700, 750, 800];
+  const comps = psfs.map((psf, i) => comp(i, psf));
+
+  const estimate = computeAppealEstimate(subject, [subject, ...comps], AS_OF);
+  assert.equal(estimate.sufficient, true);
+  assert.equal(estimate.tier, "T1_NEIGHBORHOOD_TYPE");
+  assert.equal(estimate.method, "median comp $/sqft x subject sqft");
+  assert.equal(estimate.impliedValue, 975000);
+  assert.equal(estimate.impliedLow, 863000);
+  assert.equal(estimate.impliedHigh, 1088000);
+  assert.equal(estimate.gap, 225000);
+  assert.equal(estimate.verdict, "Appeal likely worth filing");
+
+  assert.equal(computeAppealEstimate({ ...subject, assessedValue: 1050000 }, comps, AS_OF).verdict, "Borderline: assessed above comp median");
+  assert.equal(computeAppealEstimate({ ...subject, assessedValue: 960000 }, comps, AS_OF).verdict, "Assessment at or below market");
+  assert.equal(computeAppealEstimate(subject, comps.slice(0, 3), AS_OF).verdict, "Insufficient comps");
+});
+
+test("computeAppealEstimate moves comp prices to the as-of month with the market index", () => {
+  const psfs = [500, 550, 600, 650, 700, 750, 800];
+  const comps = psfs.map((psf, i) => comp(i, psf));
+  // Ballard single-family $/sqft rose 10% from the January sales to March.
+  const marketIndex = { series: { "Ballard|Single Family": { levels: { "2026-01": 600, "2026-03": 660 } } } };
+
+  const estimate = computeAppealEstimate(subject, comps, AS_OF, { marketIndex });
+  assert.ok(Math.abs(estimate.comps[0].appealTimeFactor - 1.1) < 1e-9);
+  assert.equal(estimate.impliedValue, 1073000);
+  assert.equal(computeAppealEstimate(subject, comps, AS_OF).comps[0].appealTimeFactor, 1);
+});
@@ -0,0 +1,307 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  BID_MIN_COMPS,
+  applyBidCalibration,
+  backtestBidModel,
+  bidStrategyFingerprint,
+  buildMarketIndex,
+  computeBidCompTiers,
+  fitBidCalibration,
+  fitHedonicModel,
+  importBidStrategies,
+  marketIndexFactor,
+  scoreBid,
+  scoreFairValue,
+  selectSimilarComps,
+  summarizeBacktestSamples,
+  validateBidStrategy,
+} = require("../scripts/bid_model.js");
+const { calibrationFile } = require("../scripts/backtest_bid_model.js");
+
+function sold(overrides) {
+  return {
+    dataMode: "MLS_ENRICHED",
+    hasActualClose: true,
+    isQualifiedSale: true,
+    isLikelyPresoldNewBuild: false,
+    neighborhoodLabel: "Ballard",
+    typeLabel: "Single Family",
+    zip: "98107",
+    listDate: "2026-01-01",
+    saleDate: "2026-01-20",
+    pendingListPrice: 1000000,
+    originalListPrice: 1000000,
+    closePrice: 1050000,
+    saleToList: 1.05,
+    ...overrides,
+  };
+}
+
+test("scoreBid measures comp age from asOf and tiers by neighborhood, ZIP, then city", () => {
+  const comps = Array.from({ length: BID_MIN_COMPS }, (_, i) => sold({ saleDate: `2026-03-0${i + 1}`, saleToList: 1 + i * 0.01 }));
+  assert.equal(computeBidCompTiers(sold({}), comps).tier, "T1_NEIGHBORHOOD_TYPE");
+  assert.equal(computeBidCompTiers(sold({ neighborhoodLabel: "Fremont" }), comps).tier, "T2_ZIP_TYPE");
+  assert.equal(computeBidCompTiers(sold({ neighborhoodLabel: "Fremont", zip: "98103" }), comps).tier, "T3_CITY_TYPE");
+  assert.equal(computeBidCompTiers(sold({ typeLabel: "Condo" }), comps).tier, "NONE");
+
+  const fresh = scoreBid({ ...sold({}), pendingListPrice: 900000 }, comps, "balanced", { asOf: "2026-03-07" });
+  const stale = scoreBid({ ...sold({}), pendingListPrice: 900000 }, comps, "balanced", { asOf: "2026-05-30" });
+  assert.equal(fresh.bidStatus, "SCored");
+  assert.equal(fresh.bidCompTier, "T1_NEIGHBORHOOD_TYPE");
+  assert.ok(fresh.bidLow <= fresh.bidSuggested && fresh.bidSuggested <= fresh.bidHigh);
+  assert.ok(fresh.bidConfidence > stale.bidConfidence, "older comps lower the recency score");
+});
+
+test("backtestBidModel only uses comps that closed before each list date", () => {
+  const early = Array.from({ length: BID_MIN_COMPS }, (_, i) => sold({
+    listDate: "2025-12-01",
+    saleDate: `2026-01-0${i + 1}`,
+    saleToList: 1.02,
+  }));
+  // Sells at 1.10x; replayed on 2026-02-01 it only sees the 1.02x January comps.
+  const subject = sold({ listDate: "2026-02-01", saleDate: "2026-02-20", closePrice: 1100000, saleToList: 1.1 });
+  const result = backtestBidModel([...early, subject], { strategies: ["balanced"] });
+
+  const sample = result.samples.find((s) => s.row === subject);
+  assert.equal(sample.scored, true);
+  assert.equal(sample.bidSuggested, 1020000);
+  assert.equal(sample.ask, 1000000);
+  // The January comps had no earlier sales to learn from.
+  assert.equal(result.samples.filter((s) => s.scored).length, 1);
+  assert.equal(result.strategies.balanced.byTier.find((t) => t.key === "T1_NEIGHBORHOOD_TYPE").scored, 1);
+  assert.equal(result.subjects, BID_MIN_COMPS + 1);
+
+  // Sales after the list date, however hot, cannot move the replayed bid.
+  const later = Array.from({ length: 10 }, (_, i) => sold({
+    listDate: "2026-02-02",
+    saleDate: `2026-02-1${i}`,
+    sqft: 1000,
+    closePrice: 2000000,
+    saleToList: 1.4,
+  }));
+  const withLater = backtestBidModel([...early, subject, ...later], { strategies: ["balanced"] });
+  assert.equal(withLater.samples.find((s) => s.row === subject).bidSuggested, 1020000);
+
+  const noListDate = backtestBidModel([sold({ listDate: "" })], { strategies: ["balanced"] });
+  assert.equal(noListDate.skippedNoListDate, 1);
+});
+
+test("backtest metrics report MAE, median absolute error, range hit rate and bias", () => {
+  const metrics = summarizeBacktestSamples([
+    { scored: true, closePrice: 1000000, bidSuggested: 1100000, bidLow: 1050000, bidHigh: 1150000 },
+    { scored: true, closePrice: 1000000, bidSuggested: 950000, bidLow: 900000, bidHigh: 1000000 },
+    { scored: false, closePrice: 1000000, bidSuggested: 0, bidLow: 0, bidHigh: 0 },
+  ]);
+  assert.equal(metrics.count, 3);
+  assert.equal(metrics.scored, 2);
+  assert.equal(metrics.mae, 75000);
+  assert.ok(Math.abs(metrics.medianAbsPctError - 0.075) < 1e-9);
+  assert.equal(metrics.rangeHitRate, 0.5);
+  assert.ok(Math.abs(metrics.bias - 0.025) < 1e-9);
+});
+
+test("fitBidCalibration maps tier, comp count, age and spread to the observed range hit rate", () => {
+  // Deterministic groups: tight, fresh neighborhood comps hit 3 in 4, ZIP comps 1 in 2,
+  // and sparse, stale city comps 1 in 4.
+  const groups = [
+    { tier: "T1_NEIGHBORHOOD_TYPE", bidCompCount: 24, bidCompMedianAgeDays: 15, bidRatioSpread: 0.02, hit: (j) => j % 4 !== 0 },
+    { tier: "T2_ZIP_TYPE", bidCompCount: 12, bidCompMedianAgeDays: 40, bidRatioSpread: 0.05, hit: (j) => j % 2 === 0 },
+    { tier: "T3_CITY_TYPE", bidCompCount: 7, bidCompMedianAgeDays: 70, bidRatioSpread: 0.08, hit: (j) => j % 4 === 0 },
+  ];
+  const samples = [];
+  for (let j = 0; j < 40; j += 1) {
+    groups.forEach(({ hit, ...features }) => {
+      samples.push({ scored: true, ...features, closePrice: 1000000, bidLow: hit(j) ? 990000 : 1010000, bidHigh: 1030000 });
+    });
+  }
+  samples.push({ scored: false, closePrice: 1000000, bidLow: 0, bidHigh: 0 });
+
+  const calibration = fitBidCalibration(samples);
+  assert.equal(calibration.status, "Calibrated");
+  assert.equal(calibration.sampleCount, 120);
+  assert.equal(calibration.hitRate, 0.5);
+  assert.equal(calibration.bins.reduce((a, b) => a + b.count, 0), 120);
+  calibration.bins.forEach((b) => assert.ok(Math.abs(b.predicted - b.observed) < 0.05));
+
+  const strongBid = applyBidCalibration({
+    bidStatus: "SCored", bidCompTier: "T1_NEIGHBORHOOD_TYPE", bidCompCount: 24, bidCompMedianAgeDays: 15, bidRatioSpread: 0.02, bidConfidence: 70,
+  }, calibration);
+  const weakBid = applyBidCalibration({
+    bidStatus: "SCored", bidCompTier: "T3_CITY_TYPE", bidCompCount: 7, bidCompMedianAgeDays: 70, bidRatioSpread: 0.08, bidConfidence: 70,
+  }, calibration);
+  assert.ok(Math.abs(strongBid.bidHitProbability - 0.75) < 0.03);
+  assert.ok(Math.abs(weakBid.bidHitProbability - 0.25) < 0.03);
+  assert.equal(strongBid.bidConfidence, Math.round(strongBid.bidHitProbability * 100));
+  assert.equal(strongBid.bidConfidenceLabel, "High");
+  assert.equal(applyBidCalibration({ ...strongBid, ...groups[1], bidCompTier: "T2_ZIP_TYPE" }, calibration).bidConfidenceLabel, "Medium");
+  assert.equal(weakBid.bidConfidenceLabel, "Low");
+
+  const tooFew = fitBidCalibration(samples.slice(0, 20));
+  assert.equal(tooFew.status, "InsufficientSamples");
+  const unchanged = { bidStatus: "SCored", bidConfidence: 70, bidConfidenceLabel: "Medium" };
+  assert.equal(applyBidCalibration(unchanged, tooFew), unchanged);
+});
+
+test("offline calibrations are matched to strategies by their parameters, not their names", () => {
+  const renamedBalanced = { key: "custom-my-balanced", label: "My Balanced", ...validateBidStrategy({ label: "My Balanced" }).strategy };
+  const tighter = { ...renamedBalanced, key: "custom-tighter", label: "Tighter", minComps: 8 };
+  assert.equal(bidStrategyFingerprint(renamedBalanced), bidStrategyFingerprint("balanced"));
+  assert.notEqual(bidStrategyFingerprint(tighter), bidStrategyFingerprint("balanced"));
+  assert.notEqual(bidStrategyFingerprint("aggressive"), bidStrategyFingerprint("balanced"));
+
+  const result = backtestBidModel([sold({ listDate: "" })], { strategies: ["balanced", tighter] });
+  const file = calibrationFile(result, ["balanced", tighter], "2026-03-20T00:00:00.000Z", "sales.csv");
+  assert.deepEqual(Object.keys(file.strategies), ["balanced", "custom-tighter"]);
+  assert.equal(file.strategies["custom-tighter"].label, "Tighter");
+  assert.equal(file.strategies["custom-tighter"].fingerprint, bidStrategyFingerprint(tighter));
+  assert.equal(file.strategies.balanced.calibration.status, "InsufficientSamples");
+  assert.equal(file.input, "sales.csv");
+});
+
+test("custom strategies override comp minimums, clamps and the backtest window", () => {
+  const comps = Array.from({ length: 4 }, (_, i) => sold({ saleDate: `2026-03-0${i + 1}`, saleToList: 1.2 + i * 0.01 }));
+  const subject = { ...sold({}), pendingListPrice: 1000000 };
+  assert.equal(scoreBid(subject, comps, "balanced", { asOf: "2026-03-10" }).bidStatus, "InsufficientComps");
+
+  const { strategy, errors } = validateBidStrategy({ label: "Capped", point: "0.5", minComps: "3", ratioMax: "1.1" });
+  assert.deepEqual(errors, []);
+  assert.equal(strategy.compWindowDays, 90);
+  const capped = scoreBid(subject, comps, strategy, { asOf: "2026-03-10" });
+  assert.equal(capped.bidStatus, "SCored");
+  assert.equal(capped.bidStrategy, "Capped");
+  assert.equal(capped.bidSuggested, 1100000);
+
+  assert.ok(validateBidStrategy({ label: "", low: 0.8, point: 0.5 }).errors.length >= 2);
+  assert.ok(validateBidStrategy({ label: "Bad", ratioMin: 1.2, ratioMax: 1.1 }).errors.some((e) => /Ratio clamps/.test(e)));
+
+  const imported = importBidStrategies({ version: 1, strategies: [{ label: "Long Window", compWindowDays: 200 }, { label: "Broken", minComps: 0 }] });
+  assert.equal(imported.strategies.length, 1);
+  assert.equal(imported.strategies[0].key, "custom-long-window");
+  assert.match(imported.errors[0], /Strategy 2 \(Broken\): Minimum comps/);
+
+  // Comps sold about 100 days before the list date fall outside the default 90-day window.
+  const old = Array.from({ length: BID_MIN_COMPS }, (_, i) => sold({ listDate: "2025-09-01", saleDate: `2025-10-2${i + 1}` }));
+  const later = sold({ listDate: "2026-02-01", saleDate: "2026-02-20" });
+  const result = backtestBidModel([...old, later], { strategies: ["balanced", imported.strategies[0]] });
+  const scoredFor = (key) => result.samples.filter((s) => s.strategy === key && s.row === later && s.scored).length;
+  assert.equal(scoredFor("balanced"), 0);
+  assert.equal(scoredFor("custom-long-window"), 1);
+  assert.equal(result.strategies["custom-long-window"].compWindowDays, 200);
+});
+
+test("similarity comps rank same-type sales by attributes and fall back to tiers", () => {
+  const home = { lat: 47.67, lon: -122.38, sqft: 1200, beds: 2, baths: 1, lotSize: 4000, yearBuilt: 1925 };
+  const near = Array.from({ length: BID_MIN_COMPS }, (_, i) => sold({ ...home, saleDate: `2026-03-0${i + 1}`, saleToList: 1.08, sqft: 1150 + i * 20 }));
+  const big = Array.from({ length: BID_MIN_COMPS }, (_, i) => sold({ ...home, saleDate: `2026-03-0${i + 1}`, saleToList: 0.98, sqft: 3500, beds: 5, baths: 3.5 }));
+  const condo = sold({ ...home, typeLabel: "Condo", saleDate: "2026-03-05" });
+  const subject = { ...sold({}), ...home, pendingListPrice: 1000000 };
+
+  const picked = selectSimilarComps(subject, [...big, condo, ...near], { k: BID_MIN_COMPS, asOf: "2026-03-10" });
+  assert.deepEqual(picked.map((c) => c.sqft).sort(), near.map((c) => c.sqft).sort());
+  assert.ok(picked.every((c) => c.bidSimilarity > 0.5 && c.bidSimilarity <= 1));
+
+  const bid = scoreBid(subject, [...big, ...near], "balanced", { asOf: "2026-03-10", includeCompRows: true });
+  assert.equal(bid.bidCompTier, "KNN_SIMILAR");
+  assert.ok(bid.bidRatio > 1.04, "the 1.08x small-house comps outweigh the 0.98x large ones");
+  assert.ok(bid.bidCompRows[0].bidSimilarity >= bid.bidCompRows[bid.bidCompRows.length - 1].bidSimilarity);
+
+  // No coordinates or sqft on the subject, or K = 0, falls back to the tiers.
+  assert.equal(selectSimilarComps({ ...sold({}) }, near), null);
+  assert.equal(scoreBid(subject, near, { label: "Tiers", knnK: 0 }, { asOf: "2026-03-10" }).bidCompTier, "R025_RADIUS_TYPE");
+});
+
+test("radius tiers widen from 0.25 to 1 mile before the neighborhood tier", () => {
+  const subject = sold({ lat: 47.67, lon: -122.38 });
+  // 0.01 degrees of latitude is about 0.69 miles.
+  const ring = (dLat, count) => Array.from({ length: count }, (_, i) => sold({ lat: 47.67 + dLat, lon: -122.38, saleDate: `2026-03-0${i + 1}` }));
+  const close = ring(0.002, BID_MIN_COMPS - 2);
+  const mid = ring(0.006, 2);
+  const far = ring(0.02, BID_MIN_COMPS);
+
+  assert.equal(computeBidCompTiers(subject, [...close, ...far]).tier, "T1_NEIGHBORHOOD_TYPE");
+  const half = computeBidCompTiers(subject, [...close, ...mid, ...far]);
+  assert.equal(half.tier, "R050_RADIUS_TYPE");
+  assert.equal(half.radiusMiles, 0.5);
+  assert.equal(half.rows.length, BID_MIN_COMPS);
+  assert.equal(computeBidCompTiers(subject, [...ring(0.01, BID_MIN_COMPS), ...far]).tier, "R100_RADIUS_TYPE");
+  // Without coordinates the subject goes straight to the neighborhood tier.
+  assert.equal(computeBidCompTiers(sold({}), [...close, ...mid]).tier, "T1_NEIGHBORHOOD_TYPE");
+
+  const bid = scoreBid(subject, [...close, ...mid, ...far], { label: "Tiers", knnK: 0 }, { asOf: "2026-03-10", includeCompRows: true, compRowLimit: 100 });
+  assert.equal(bid.bidCompTier, "R050_RADIUS_TYPE");
+  assert.equal(bid.bidCompRadiusMiles, 0.5);
+  assert.equal(bid.bidCompRows.length, BID_MIN_COMPS);
+});
+
+test("hedonic fair value recovers attribute prices and flags asks above or below it", () => {
+  // Prices follow sqft^0.8, +10% for a view, -15% for fair condition and +6% a year.
+  const price = (sqft, view, fair, yearsAgo) => 900000 * (sqft / 1500) ** 0.8 * (view ? 1.1 : 1) * (fair ? 0.85 : 1) * Math.exp(-0.06 * yearsAgo);
+  const sales = Array.from({ length: 60 }, (_, i) => {
+    const sqft = 1000 + (i % 10) * 150;
+    const view = i % 3 === 0;
+    const fair = i % 4 === 0;
+    const month = (i % 12) + 1;
+    return sold({
+      sqft,
+      beds: 3,
+      baths: 2,
+      lotSize: 5000,
+      yearBuilt: 1960,
+      mlsView: view ? "Sound, Mountain" : "",
+      mlsBuildingCondition: fair ? "Fair" : "Good",
+      saleDate: `2025-${String(month).padStart(2, "0")}-15`,
+      closePrice: price(sqft, view, fair, (12 - month) / 12 + 1 / 24),
+    });
+  });
+  const hedonic = fitHedonicModel(sales, { asOf: "2026-01-01" });
+  assert.equal(hedonic.sampleCount, 60);
+  assert.equal(hedonic.models["Ballard|Single Family"].basis, "NEIGHBORHOOD_TYPE");
+  assert.ok(hedonic.models["*|Single Family"]);
+
+  const listing = sold({ sqft: 2000, beds: 3, baths: 2, lotSize: 5000, yearBuilt: 1960, mlsView: "Sound", mlsBuildingCondition: "Good", pendingListPrice: 1000000 });
+  const fv = scoreFairValue(listing, hedonic);
+  const expected = price(2000, true, false, 0);
+  assert.ok(Math.abs(fv.fairValue - expected) / expected < 0.03, `${fv.fairValue} vs ${Math.round(expected)}`);
+  assert.ok(fv.fairValueGapPct < -0.1, "asking about $1.0M for a $1.2M house is a bargain ask");
+  assert.ok(scoreFairValue({ ...listing, mlsView: "", pendingListPrice: 1300000 }, hedonic).fairValueGapPct > 0.1);
+
+  // A neighborhood without its own fit uses the Seattle-wide one; no sqft, no fair value.
+  assert.equal(scoreFairValue({ ...listing, neighborhoodLabel: "Fremont" }, hedonic).fairValueBasis, "CITY_TYPE");
+  assert.equal(scoreFairValue({ ...listing, sqft: 0 }, hedonic).fairValue, null);
+  assert.equal(scoreFairValue({ ...listing, typeLabel: "Condo" }, hedonic).fairValueBasis, "NONE");
+});
+
+test("a monthly $/sqft index time-adjusts comp prices, not sale/list ratios", () => {
+  // Ballard sales gain 2% a month in $/sqft from January to June 2026.
+  const sales = Array.from({ length: 60 }, (_, i) => {
+    const month = Math.floor(i / 10) + 1;
+    return sold({ sqft: 1500, saleDate: `2026-0${month}-1${i % 10}`, closePrice: Math.round(1500 * 600 * 1.02 ** (month - 1) * (1 + (i % 10) / 1000)) });
+  });
+  const index = buildMarketIndex(sales, { minSales: 15 });
+  assert.deepEqual(Object.keys(index.series).sort(), ["*|Single Family", "Ballard|Single Family"]);
+  // January's 10 sales are too few for a trailing three-month level.
+  assert.deepEqual(Object.keys(index.series["Ballard|Single Family"].levels), ["2026-02", "2026-03", "2026-04", "2026-05", "2026-06"]);
+
+  const comp = sold({ saleDate: "2026-03-05" });
+  const factor = marketIndexFactor(index, comp, "2026-06-20");
+  assert.ok(factor > 1.05 && factor < 1.07, String(factor));
+  assert.equal(marketIndexFactor(index, { ...comp, neighborhoodLabel: "Fremont" }, "2026-06-20"), factor);
+  assert.equal(marketIndexFactor(index, { ...comp, typeLabel: "Condo" }, "2026-06-20"), 1);
+  assert.equal(marketIndexFactor(null, comp, "2026-06-20"), 1);
+
+  const comps = Array.from({ length: BID_MIN_COMPS }, (_, i) => sold({ saleDate: `2026-03-0${i + 1}`, saleToList: 1.02, pricePerSqft: 700 }));
+  const subject = { ...sold({}), pendingListPrice: 1000000 };
+  const plain = scoreBid(subject, comps, "balanced", { asOf: "2026-06-20", includeCompRows: true });
+  const adjusted = scoreBid(subject, comps, "balanced", { asOf: "2026-06-20", includeCompRows: true, marketIndex: index });
+  assert.equal(plain.bidCompRows[0].bidTimeFactor, 1);
+  assert.equal(plain.bidCompRows[0].bidAdjustedPricePerSqft, 700);
+  assert.equal(adjusted.bidCompRows[0].bidTimeFactor, factor);
+  assert.equal(adjusted.bidCompRows[0].bidAdjustedPricePerSqft, 700 * factor);
+  // Close and list both moved with the market, so the ratio needs no adjustment.
+  assert.equal(adjusted.bidRatio, 1.02);
+  assert.equal(plain.bidRatio, 1.02);
+});
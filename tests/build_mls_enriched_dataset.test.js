@@ -5,9 +5,11 @@ const assert = require("node:assert/strict");
 
 const {
   MLS_ENRICHMENT_COLUMNS,
+  buildJoinAudit,
   canonicalAddressKey,
   canonicalMlsStreet,
   canonicalMlsStreetNoUnit,
+  chooseBestMatch,
   dedupeRealtorRows,
   findHeaderIndex,
   normalizeBooleanText,
@@ -16,14 +18,17 @@ const {
   resolveRealtorApns,
   stripTrailingUnit,
 } = require("../scripts/build_mls_enriched_dataset.js");
+const { parseCsvText } = require("../scripts/csv_parser.js");
+const { addFuzzyCandidate } = require("../scripts/fuzzy_address.js");
 
 test("findHeaderIndex accepts incremental exports without APN", () => {
-  const lines = [
+  const records = parseCsvText([
     "Sold And Stats (9)",
     "Listing Number,Street Number,Status,Listing Date,Selling Date,Pending Date,Contractual Date,Listing Price,Original Price,Selling Price,DOM,CDOM",
     "2494511,1521,Active,3/19/2026 12:00:00 AM,,,,800000,800000,,1,1",
-  ];
-  assert.equal(findHeaderIndex(lines), 1);
+  ].join("\n"));
+  assert.equal(findHeaderIndex(records), 1);
+  assert.equal(findHeaderIndex([["Listing Numbers", "Status Notes"]]), -1);
 });
 
 test("regionFromFilename strips stats/date suffixes and fixes known typo", () => {
@@ -126,7 +131,9 @@ test("resolveRealtorApns prefers direct APN then backfills from listing and coun
     accountExact: 1,
     resBldgNoUnit: 1,
     accountNoUnit: 1,
+    fuzzyAddress: 0,
     unresolved: 1,
+    fuzzyAddressReview: 0,
   });
   assert.equal(rows[1].apn, "1111111111");
   assert.equal(rows[1].apnResolutionMethod, "PREVIOUS_ENRICHED_LISTING_NUMBER");
@@ -138,6 +145,88 @@ test("resolveRealtorApns prefers direct APN then backfills from listing and coun
   assert.equal(rows[6].apnResolutionMethod, "");
 });
 
+test("resolveRealtorApns falls back to fuzzy ZIP-scoped matches and holds ambiguous ones for review", async () => {
+  const rows = [
+    { apn: "", listingNumber: "F1", addressKeyExact: "4521 GRENWOOD AVE N|98103", addressKeyNoUnit: "4521 GRENWOOD AVE N|98103" },
+    { apn: "", listingNumber: "F2", addressKeyExact: "812 NE 70TH|98115", addressKeyNoUnit: "812 NE 70TH|98115" },
+    { apn: "", listingNumber: "F3", addressKeyExact: "4521 GREENWOOD AVE N|98107", addressKeyNoUnit: "4521 GREENWOOD AVE N|98107" },
+  ];
+  const fuzzyCandidatesByZip = new Map();
+  addFuzzyCandidate(fuzzyCandidatesByZip, "98103", "4521 GREENWOOD AVE N", "1111111111", "RESBLDG");
+  addFuzzyCandidate(fuzzyCandidatesByZip, "98115", "812 NE 70TH ST", "2222222222", "RESBLDG");
+  addFuzzyCandidate(fuzzyCandidatesByZip, "98115", "812 NE 70TH PL", "3333333333", "ACCOUNT");
+  const emptyMap = new Map();
+  const counts = await resolveRealtorApns(rows, {
+    listingApnByListingNumber: emptyMap,
+    countyAddressMaps: {
+      resBldgExactByAddress: emptyMap,
+      resBldgNoUnitByAddress: emptyMap,
+      accountExactByAddress: emptyMap,
+      accountNoUnitByAddress: emptyMap,
+      fuzzyCandidatesByZip,
+    },
+  });
+
+  assert.equal(counts.fuzzyAddress, 1);
+  assert.equal(counts.unresolved, 2);
+  assert.equal(counts.fuzzyAddressReview, 1);
+  assert.equal(rows[0].apn, "1111111111");
+  assert.equal(rows[0].apnResolutionMethod, "FUZZY_ADDRESS");
+  assert.equal(rows[0].apnResolutionConfidence, "0.92");
+  assert.equal(rows[1].apn, "");
+  assert.equal(rows[1].apnReview.reason, "ambiguous");
+  assert.deepEqual(rows[1].apnReview.candidates.map((c) => c.apn), ["2222222222", "3333333333"]);
+  assert.equal(rows[2].apn, "");
+  assert.equal(rows[2].apnReview, undefined);
+});
+
+test("buildJoinAudit records matched pairs and the closest near-miss with its rejection reason", () => {
+  const county = (id, apn, saleDate, price) => ({
+    id, __parcel: apn, __saleDate: saleDate, __closePrice: price, __id: `${id}|${apn}|${saleDate}`,
+  });
+  const mls = (uid, apn, sellingDate, sellingPrice) => ({
+    uid, apn, listingNumber: uid, status: "Sold", sellingDate, sellingPrice, mlsAddress: `${uid} MAIN ST`,
+  });
+  const countyRows = [
+    county("c1", "1111111111", "2025-05-01", 900000),
+    county("c2", "2222222222", "2025-05-01", 900000),
+    county("c3", "3333333333", "2025-05-01", 900000),
+    county("c4", "9999999999", "2025-05-01", 700000),
+  ];
+  const mlsRows = [
+    mls("m1", "1111111111", "2025-04-20", 902000),
+    mls("m2", "2222222222", "2025-07-30", 900000),
+    mls("m3", "3333333333", "2025-05-02", 960000),
+    mls("m4", "4444444444", "2025-05-02", 960000),
+  ];
+  const used = new Set();
+  const matchesByUid = new Map();
+  countyRows.forEach((row) => {
+    const match = chooseBestMatch(row, mlsRows.filter((c) => c.apn === row.__parcel), used);
+    if (!match) return;
+    used.add(match.candidate.uid);
+    matchesByUid.set(match.candidate.uid, { row, candidate: match.candidate });
+  });
+
+  const audit = buildJoinAudit(countyRows, mlsRows, matchesByUid);
+  const find = (side, key) => audit.rows.find((r) => r.side === side && (r.countyId === key || r.mlsListingNumber === key));
+
+  assert.equal(audit.rows.length, 7);
+  assert.equal(audit.tolerances.maxDateLagDays, 45);
+  assert.deepEqual(
+    { outcome: find("county", "c1").outcome, partner: find("county", "c1").mlsListingNumber, lag: find("county", "c1").dateLagDays },
+    { outcome: "matched", partner: "m1", lag: 11 }
+  );
+  assert.equal(find("county", "c2").reason, "date_lag_exceeded");
+  assert.equal(find("county", "c2").dateLagDays, 90);
+  assert.equal(find("mls", "m3").reason, "price_outside_tolerance");
+  assert.equal(find("mls", "m3").priceDiffPct, 0.0667);
+  assert.equal(find("mls", "m4").outcome, "no_candidate");
+  assert.equal(find("county", "c4"), undefined);
+  assert.equal(audit.summary["county:matched"], 1);
+  assert.equal(audit.summary["mls:near_miss:date_lag_exceeded"], 1);
+});
+
 test("dedupeRealtorRows keeps the latest duplicate status while inheriting APN from older rows", () => {
   const result = dedupeRealtorRows([
     {
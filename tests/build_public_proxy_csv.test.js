@@ -0,0 +1,146 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  allocateMultiParcelPrice,
+  classifySaleQualification,
+  mergeCondoUnits,
+  parseArgs,
+  partitionCoverage,
+  partitionName,
+  resolveHistoryWindow,
+  resolvePartitionRange,
+  saleRowId,
+} = require("../scripts/build_public_proxy_csv.js");
+const { enrichedNameForBase } = require("../scripts/data_manifest.js");
+
+const NOW = new Date(2026, 2, 20, 15, 30);
+
+test("default history window keeps the trailing 12 month output name", () => {
+  const window = resolveHistoryWindow(parseArgs(["node", "build"]), NOW);
+  assert.equal(window.startIso, "2025-03-20");
+  assert.equal(window.endIso, "2026-03-20");
+  assert.equal(window.outputName, "public_sales_proxy_all_prices_last12mo.csv");
+});
+
+test("--months and --from/--to produce multi-year windows", () => {
+  const months = resolveHistoryWindow(parseArgs(["node", "build", "--months", "60"]), NOW);
+  assert.equal(months.startIso, "2021-03-20");
+  assert.equal(months.outputName, "public_sales_proxy_all_prices_last60mo.csv");
+
+  const range = resolveHistoryWindow(parseArgs(["node", "build", "--from=2022-01-01", "--to", "2024-12-31"]), NOW);
+  assert.equal(range.startIso, "2022-01-01");
+  assert.equal(range.endIso, "2024-12-31");
+  assert.equal(range.outputName, "public_sales_proxy_all_prices_2022-01-01_to_2024-12-31.csv");
+});
+
+test("invalid history arguments are rejected", () => {
+  assert.throws(() => parseArgs(["node", "build", "--months", "0"]), /--months/);
+  assert.throws(() => parseArgs(["node", "build", "--months", "12", "--from", "2024-01-01"]), /either/);
+  assert.throws(() => parseArgs(["node", "build", "--since", "2024"]), /Unknown argument/);
+  assert.throws(() => resolveHistoryWindow({ from: "2024-02-30" }, NOW), /YYYY-MM-DD/);
+  assert.throws(() => resolveHistoryWindow({ from: "2026-05-01" }, NOW), /after end/);
+});
+
+test("partition and enriched names follow the proxy output name", () => {
+  assert.equal(partitionName(2023), "public_sales_proxy_all_prices_2023.csv");
+  assert.equal(
+    enrichedNameForBase("/data/public_sales_proxy_all_prices_last12mo.csv"),
+    "public_sales_proxy_mls_enriched_last12mo.csv"
+  );
+  assert.equal(
+    enrichedNameForBase("public_sales_proxy_all_prices_2022-01-01_to_2024-12-31.csv"),
+    "public_sales_proxy_mls_enriched_2022-01-01_to_2024-12-31.csv"
+  );
+});
+
+test("year partitions cover whole calendar years and flag the open year", () => {
+  const trailing = resolvePartitionRange(resolveHistoryWindow(parseArgs(["node", "build"]), NOW), NOW);
+  assert.equal(trailing.startIso, "2025-01-01");
+  assert.equal(trailing.endIso, "2026-03-20");
+  assert.deepEqual(partitionCoverage(2025, trailing), { rangeStart: "2025-01-01", rangeEnd: "2025-12-31", complete: true });
+  assert.deepEqual(partitionCoverage(2026, trailing), { rangeStart: "2026-01-01", rangeEnd: "2026-03-20", complete: false });
+
+  const past = resolvePartitionRange(resolveHistoryWindow({ from: "2022-06-15", to: "2024-02-01" }, NOW), NOW);
+  assert.equal(past.startIso, "2022-01-01");
+  assert.equal(past.endIso, "2024-12-31");
+  assert.equal(partitionCoverage(2024, past).complete, true);
+});
+
+test("classifySaleQualification keeps market sales and tags non-market transfers", () => {
+  const lookups = {
+    instrument: new Map([["3", "Statutory Warranty Deed"], ["15", "Quit Claim Deed"]]),
+    reason: new Map([["1", "None"], ["8", "Family"]]),
+    warning: new Map([["10", "Related Party, Friend, or Neighbor"], ["48", "Plottage"]]),
+  };
+  const sale = { salePrice: 950000, instrument: "3", reason: "1", warning: " 48 " };
+  assert.equal(classifySaleQualification(sale, lookups), "qualified");
+  assert.equal(
+    classifySaleQualification({ ...sale, salePrice: 10, instrument: "15", warning: " 10 48 " }, lookups),
+    "excluded|nominal_price|instrument_quit_claim_deed|warning_related_party_friend_or_neighbor"
+  );
+  assert.equal(classifySaleQualification({ ...sale, reason: "08" }, lookups), "excluded|reason_family");
+});
+
+test("allocateMultiParcelPrice splits portfolio prices by assessed share", () => {
+  const accountMap = new Map([
+    ["100-1", { assessedValue: 600000 }],
+    ["100-2", { assessedValue: 400000 }],
+  ]);
+  assert.deepEqual(allocateMultiParcelPrice(900000, "100-1", undefined, accountMap), {
+    closePrice: 900000,
+    parcelCount: 1,
+    allocation: "single",
+  });
+  assert.deepEqual(allocateMultiParcelPrice(2000000, "100-2", ["100-1", "100-2"], accountMap), {
+    closePrice: 800000,
+    parcelCount: 2,
+    allocation: "assessed_share",
+  });
+  assert.equal(
+    allocateMultiParcelPrice(2000000, "100-1", ["100-1", "100-2", "900-9"], accountMap).allocation,
+    "unallocated"
+  );
+
+  const groupKeys = ["100-1", "100-2"];
+  const ids = groupKeys.map((key) => {
+    const [major, minor] = key.split("-");
+    return saleRowId("3101234", major, minor, allocateMultiParcelPrice(2000000, key, groupKeys, accountMap));
+  });
+  assert.deepEqual(ids, ["3101234-1001", "3101234-1002"]);
+  assert.equal(new Set(ids).size, groupKeys.length);
+  assert.equal(saleRowId("3101235", "100", "1", allocateMultiParcelPrice(900000, "100-1", undefined, accountMap)), "3101235");
+  assert.equal(saleRowId("", "100", "1", allocateMultiParcelPrice(900000, "100-1", undefined, accountMap)), "1001");
+});
+
+test("mergeCondoUnits fills condo parcels without overriding residential buildings", () => {
+  const resBldgMap = new Map([
+    ["200-10", { bedrooms: 3, baths: 2, sqft: 1800, yearBuilt: 1925, situsAddress: "1 MAIN ST", situsZip: "98103" }],
+    ["300-20", { bedrooms: 0, baths: 0, sqft: 0, yearBuilt: 0, situsAddress: "2 PINE ST", situsZip: "98101" }],
+  ]);
+  const unit = {
+    bedrooms: 2,
+    baths: 1.75,
+    sqft: 950,
+    yearBuilt: 2008,
+    situsAddress: "2 PINE ST UNIT 704",
+    situsZip: "98101",
+    condoFloor: "7",
+    condoUnitNbr: "704",
+    condoComplexName: "PINE TOWER",
+    condoComplexUnits: 120,
+  };
+  const condoUnitMap = new Map([
+    ["200-10", { ...unit, sqft: 700 }],
+    ["300-20", unit],
+    ["400-30", { ...unit, situsAddress: "", situsZip: "" }],
+  ]);
+  assert.equal(mergeCondoUnits(resBldgMap, condoUnitMap), 2);
+  assert.equal(resBldgMap.get("200-10").sqft, 1800);
+  assert.equal(resBldgMap.get("300-20").sqft, 950);
+  assert.equal(resBldgMap.get("300-20").situsAddress, "2 PINE ST UNIT 704");
+  assert.equal(resBldgMap.get("400-30").condoComplexName, "PINE TOWER");
+  assert.equal(resBldgMap.get("400-30").situsAddress, "");
+});
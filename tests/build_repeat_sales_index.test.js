@@ -0,0 +1,89 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  buildRepeatSalesSeries,
+  findRepeatSalePairs,
+  fitRepeatSalesIndex,
+  remodelReason,
+} = require("../scripts/build_repeat_sales_index.js");
+
+function isoForMonth(index, day = 15) {
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+test("remodelReason flags rebuilt, renovated and resized parcels", () => {
+  const first = { saleDate: "2018-05-01", sqft: 1500, yearBuilt: 1925 };
+  const second = { saleDate: "2024-03-01", sqft: 1520, yearBuilt: 1925 };
+  assert.equal(remodelReason(first, second, { sqft: 1520, yearBuilt: 1925 }), "");
+  assert.equal(remodelReason(first, second, { yearBuilt: 2021 }), "built_after_first_sale");
+  assert.equal(remodelReason(first, second, { yearBuilt: 1925, yearRenovated: 2020 }), "renovated_between_sales");
+  assert.equal(remodelReason(first, { ...second, sqft: 0 }, { sqft: 2400, yearBuilt: 1925 }), "sqft_changed");
+  assert.equal(remodelReason(first, { ...second, yearBuilt: 2019 }, {}), "year_built_changed");
+  assert.equal(remodelReason({ saleDate: "2018-05-01" }, second, { yearBuilt: 1925, yearRenovated: 2012 }), "");
+});
+
+test("findRepeatSalePairs pairs consecutive sales and drops flips, outliers and remodels", () => {
+  const parcels = [
+    { neighborhood: "Ballard", type: "Single Family", building: { yearBuilt: 1940 }, sales: [
+      { saleDate: "2020-06-10", price: 800000 },
+      { saleDate: "2016-02-01", price: 600000 },
+      { saleDate: "2020-09-01", price: 850000 },
+      { saleDate: "2024-01-20", price: 1000000 },
+    ] },
+    { neighborhood: "Ballard", type: "Single Family", building: { yearBuilt: 2022 }, sales: [
+      { saleDate: "2019-03-01", price: 700000 },
+      { saleDate: "2023-03-01", price: 1900000 },
+    ] },
+    { neighborhood: "Magnolia", type: "Condo", building: {}, sales: [
+      { saleDate: "2021-01-05", price: 400000 },
+      { saleDate: "2022-01-05", price: 900000 },
+    ] },
+  ];
+  const { pairs, dropped } = findRepeatSalePairs(parcels, { startMonth: 2017 * 12 });
+
+  assert.equal(pairs.length, 1);
+  assert.equal(pairs[0].firstMonth, 2020 * 12 + 8);
+  assert.equal(pairs[0].secondMonth, 2024 * 12);
+  assert.ok(Math.abs(pairs[0].logRatio - Math.log(1000000 / 850000)) < 1e-9);
+  assert.deepEqual(dropped, { before_window: 1, short_hold: 1, built_after_first_sale: 1, outlier_change: 1 });
+});
+
+test("fitRepeatSalesIndex recovers a known monthly index from noisy pairs", () => {
+  const startMonth = 2020 * 12;
+  const endMonth = startMonth + 35;
+  const level = (t) => 0.012 * t - 0.08 * Math.max(0, t - 24);
+  let seed = 7;
+  const rand = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  const parcels = [];
+  for (let i = 0; i < 600; i += 1) {
+    const a = Math.floor(rand() * 30);
+    const b = Math.min(35, a + 6 + Math.floor(rand() * 30));
+    const noise = (rand() - 0.5) * 0.06;
+    const base = 500000 + Math.round(rand() * 500000);
+    parcels.push({ neighborhood: i % 2 ? "Ballard" : "Fremont", type: "Single Family", building: {}, sales: [
+      { saleDate: isoForMonth(startMonth + a), price: base },
+      { saleDate: isoForMonth(startMonth + b), price: base * Math.exp(level(b) - level(a) + noise) },
+    ] });
+  }
+  const { pairs } = findRepeatSalePairs(parcels, { startMonth });
+  const fit = fitRepeatSalesIndex(pairs, { startMonth, endMonth, smoothing: 2 });
+
+  assert.equal(fit.values.length, 36);
+  assert.equal(fit.values[0], 100);
+  [6, 12, 24, 30, 35].forEach((t) => {
+    const expected = 100 * Math.exp(level(t));
+    assert.ok(Math.abs(fit.values[t] - expected) / expected < 0.02, `month ${t}: ${fit.values[t]} vs ${expected.toFixed(1)}`);
+  });
+
+  const { months, series } = buildRepeatSalesSeries(pairs, { startMonth, endMonth, smoothing: 2, minPairs: 400 });
+  assert.equal(months[0], "2020-01");
+  assert.equal(months.length, 36);
+  assert.deepEqual(Object.keys(series), ["*|All", "*|Single Family"]);
+  assert.equal(series["*|All"].pairCount, pairs.length);
+});
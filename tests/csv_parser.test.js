@@ -0,0 +1,67 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  createCsvParser,
+  parseCsvLine,
+  parseCsvText,
+  readCsvRecords,
+} = require("../scripts/csv_parser.js");
+
+test("quoted fields keep embedded newlines, delimiters and escaped quotes", () => {
+  const text = 'Listing Number,Remarks,Price\n101,"Sunny corner lot.\nNew roof, ""as is"" sale.",950000\n102,,1100000\n';
+  assert.deepEqual(parseCsvText(text), [
+    ["Listing Number", "Remarks", "Price"],
+    ["101", 'Sunny corner lot.\nNew roof, "as is" sale.', "950000"],
+    ["102", "", "1100000"],
+  ]);
+});
+
+test("BOM, CRLF and blank lines are handled", () => {
+  const text = "\uFEFFid,address\r\n1,\"12 MAIN ST\r\nUNIT 4\"\r\n\r\n2, 5\" PIPE LN \r\n3,\"\"";
+  assert.deepEqual(parseCsvText(text), [
+    ["id", "address"],
+    ["1", "12 MAIN ST\r\nUNIT 4"],
+    ["2", '5" PIPE LN'],
+    ["3", ""],
+  ]);
+  assert.deepEqual(parseCsvText("a\n\nb", { skipEmptyLines: false }), [["a"], [""], ["b"]]);
+  assert.deepEqual(parseCsvLine(" a , b ", { trim: false }), [" a ", " b "]);
+});
+
+test("delimiter option and chunked input parse the same records", () => {
+  const text = 'a;"b;\nc";d\r\ne;f';
+  const parser = createCsvParser({ delimiter: ";" });
+  const records = [];
+  for (const ch of text) records.push(...parser.push(ch));
+  records.push(...parser.end());
+  assert.deepEqual(records, [["a", "b;\nc", "d"], ["e", "f"]]);
+  assert.deepEqual(parseCsvText("a\tb", { delimiter: "\t" }), [["a", "b"]]);
+  assert.throws(() => createCsvParser({ delimiter: "\"" }), /delimiter/);
+});
+
+test("unterminated quoted fields are rejected with the starting line", () => {
+  assert.throws(() => parseCsvText('id,remarks\n1,"open\nended'), /line 2/);
+});
+
+test("readCsvRecords streams a file across multi-line records", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "csv-parser-"));
+  const file = path.join(dir, "export.csv");
+  const remarks = `"${"Long remarks, line one.\n".repeat(4000)}"`;
+  fs.writeFileSync(file, `\uFEFFid,remarks\n1,${remarks}\n2,short\n`);
+  try {
+    const records = [];
+    for await (const cols of readCsvRecords(file)) records.push(cols);
+    assert.equal(records.length, 3);
+    assert.deepEqual(records[0], ["id", "remarks"]);
+    assert.equal(records[1][1].split("\n").length, 4000);
+    assert.deepEqual(records[2], ["2", "short"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
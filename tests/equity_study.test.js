@@ -0,0 +1,92 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  buildEquityStudySample,
+  computeEquityMetrics,
+  equityByNeighborhood,
+  equityByValueTier,
+  equityReadLabel,
+} = require("../scripts/equity_study.js");
+
+function sale(closePrice, assessedValue, overrides = {}) {
+  return {
+    hasActualClose: true,
+    closePrice,
+    assessedValue,
+    isQualifiedSale: true,
+    isMultiParcelSale: false,
+    neighborhoodLabel: "Ballard",
+    ...overrides,
+  };
+}
+
+function near(actual, expected, tolerance = 1e-4) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} vs ${expected}`);
+}
+
+test("computeEquityMetrics matches the IAAO formulas on a worked sample", () => {
+  // Ratios 0.90, 0.95, 1.00, 1.05, 0.90: median 0.95, mean 0.96.
+  // COD = mean |ratio - 0.95| (0.05) / 0.95 * 100 = 5.263.
+  // PRD = mean ratio / (total assessed 1,450,000 / total sale 1,500,000) = 0.96 / 0.96667 = 0.9931.
+  // PRB regresses (ratio - 0.95) / 0.95 on log2(0.5 * sale + 0.5 * assessed / 0.95) = 0.0320.
+  const { sales } = buildEquityStudySample([
+    sale(100000, 90000),
+    sale(200000, 190000),
+    sale(300000, 300000),
+    sale(400000, 420000),
+    sale(500000, 450000),
+  ]);
+  const metrics = computeEquityMetrics(sales);
+  assert.equal(metrics.count, 5);
+  near(metrics.medianRatio, 0.95);
+  near(metrics.cod, 5.2632);
+  near(metrics.prd, 0.9931);
+  near(metrics.prb, 0.0320);
+  assert.equal(equityReadLabel(metrics), "Within IAAO ranges");
+});
+
+test("proportional assessments score zero dispersion and regressive ones are flagged", () => {
+  const prices = [300000, 450000, 600000, 800000, 1000000, 1400000];
+  const proportional = computeEquityMetrics(buildEquityStudySample(prices.map((p) => sale(p, p * 0.92))).sales);
+  near(proportional.cod, 0);
+  near(proportional.prd, 1);
+  near(proportional.prb, 0);
+  assert.equal(equityReadLabel(proportional), "Within IAAO ranges");
+
+  // Cheaper homes assessed at a higher share of price than expensive ones.
+  const ratios = [1.1, 1.05, 1.0, 0.95, 0.9, 0.85];
+  const regressive = computeEquityMetrics(buildEquityStudySample(prices.map((p, i) => sale(p, p * ratios[i]))).sales);
+  assert.ok(regressive.prd > 1.03);
+  assert.ok(regressive.prb < -0.05);
+  assert.equal(equityReadLabel(regressive), "Regressive");
+
+  assert.equal(equityReadLabel(computeEquityMetrics(buildEquityStudySample([sale(500000, 450000)]).sales)), "Too few sales (< 5)");
+});
+
+test("outlier ratios are trimmed within each neighborhood and value tier", () => {
+  const rows = [];
+  for (let i = 0; i < 10; i += 1) {
+    rows.push(sale(500000 + i * 10000, (500000 + i * 10000) * (0.8 + (i % 3) * 0.005), { neighborhoodLabel: "Rainier Valley" }));
+    rows.push(sale(1000000 + i * 10000, (1000000 + i * 10000) * (1.2 + (i % 3) * 0.005), { neighborhoodLabel: "Magnolia" }));
+  }
+  // 1.0 sits inside the pooled IQR fences but far outside Rainier Valley's own level.
+  rows.push(sale(545000, 545000, { neighborhoodLabel: "Rainier Valley" }));
+  rows.push(sale(900000, 900000, { isQualifiedSale: false }));
+
+  const sample = buildEquityStudySample(rows);
+  assert.equal(sample.trimmed, 1);
+  assert.equal(sample.sales.length, 20);
+  assert.ok(sample.sales.every((s) => s.ratio !== 1));
+
+  const neighborhoods = equityByNeighborhood(sample.sales);
+  assert.deepEqual(neighborhoods.map((g) => g.name), ["Magnolia", "Rainier Valley"]);
+  near(neighborhoods[1].metrics.medianRatio, 0.805);
+
+  const tiers = equityByValueTier(sample);
+  assert.deepEqual(tiers.map((t) => t.metrics.count), [5, 5, 5, 5]);
+  assert.equal(tiers[0].minSale, 500000);
+  assert.equal(tiers[3].maxSale, 1090000);
+});
@@ -0,0 +1,60 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  addFuzzyCandidate,
+  editDistance,
+  parseStreetAddress,
+  resolveFuzzyAddress,
+  scoreAddressMatch,
+} = require("../scripts/fuzzy_address.js");
+
+test("parseStreetAddress applies direction, suffix and ordinal aliases", () => {
+  assert.deepEqual(parseStreetAddress("1520-1524 NORTHEAST FIFTH AVENUE"), {
+    house: { low: 1520, high: 1524, raw: "1520-1524" },
+    direction: "NE",
+    suffix: "AVE",
+    name: "5TH",
+  });
+  assert.equal(parseStreetAddress("717 MARTIN LUTHER KING JR WAY S").name, "MARTINLUTHERKINGJR");
+  assert.equal(parseStreetAddress("2 1/2 BROADWAY E").name, "BROADWAY");
+  assert.equal(parseStreetAddress("LOT 4 GREENWOOD"), null);
+});
+
+test("scoreAddressMatch tolerates typos and house ranges but not different streets", () => {
+  const target = parseStreetAddress("1522 GREENWOD AVE N");
+  assert.equal(scoreAddressMatch(target, parseStreetAddress("1522 GREENWOOD AVE N")), 0.92);
+  assert.equal(scoreAddressMatch(target, parseStreetAddress("1520-1524 GREENWOOD AV N")), 0.82);
+  assert.equal(scoreAddressMatch(target, parseStreetAddress("1526 GREENWOOD AVE N")), 0);
+  assert.equal(scoreAddressMatch(target, parseStreetAddress("1522 GREENWOOD AVE NE")), 0);
+  assert.equal(scoreAddressMatch(parseStreetAddress("400 PIKE ST"), parseStreetAddress("400 PINE ST")), 0);
+  assert.equal(scoreAddressMatch(parseStreetAddress("400 5TH AVE"), parseStreetAddress("400 6TH AVE")), 0);
+  assert.equal(editDistance("KITTEN", "SITTING"), 3);
+});
+
+test("resolveFuzzyAddress only auto-joins a clear winner inside the same ZIP", () => {
+  const candidatesByZip = new Map();
+  addFuzzyCandidate(candidatesByZip, "98103", "4521 GREENWOOD AVE N", "1111111111", "RESBLDG");
+  addFuzzyCandidate(candidatesByZip, "98103", "4521 GREENWOOD AVE N", "1111111111", "ACCOUNT");
+  addFuzzyCandidate(candidatesByZip, "98107", "4521 GREENWOOD AVE N", "9999999999", "RESBLDG");
+  addFuzzyCandidate(candidatesByZip, "98115", "812 NE 70TH ST", "2222222222", "RESBLDG");
+  addFuzzyCandidate(candidatesByZip, "98115", "812 NE 70TH PL", "3333333333", "ACCOUNT");
+
+  const resolved = resolveFuzzyAddress("4521 GRENWOOD AVE N", "98103", candidatesByZip);
+  assert.equal(resolved.status, "resolved");
+  assert.equal(resolved.apn, "1111111111");
+  assert.equal(resolved.candidates.length, 1);
+
+  const ambiguous = resolveFuzzyAddress("812 NE 70TH", "98115", candidatesByZip);
+  assert.equal(ambiguous.status, "review");
+  assert.equal(ambiguous.reason, "ambiguous");
+  assert.equal(ambiguous.apn, "");
+
+  const lowConfidence = resolveFuzzyAddress("4519-4523 GREENWOD N", "98103", candidatesByZip);
+  assert.equal(lowConfidence.status, "review");
+  assert.equal(lowConfidence.reason, "low_confidence");
+
+  assert.equal(resolveFuzzyAddress("4521 GREENWOOD AVE N", "98199", candidatesByZip).status, "none");
+});
@@ -13,7 +13,9 @@ test("tabs and tabpanels are mapped for accessibility", () => {
     ["tab-overview", "view-overview"],
     ["tab-charts", "view-charts"],
     ["tab-heat", "view-heat"],
+    ["tab-equity", "view-equity"],
     ["tab-bids", "view-bids"],
+    ["tab-cuts", "view-cuts"],
     ["tab-geo", "view-geo"],
     ["tab-records", "view-records"],
     ["tab-data", "view-data"],
@@ -44,11 +46,87 @@ test("manual bids can load active listing from bids table", () => {
   assert.match(html, /data-use-active-bid/);
 });
 
+test("bids listings can show their comps on the geo map", () => {
+  assert.match(html, /data-map-active-bid/);
+  assert.match(html, /id=\"geoBidFocus\"/);
+  assert.match(html, /data-clear-bid-map-focus/);
+});
+
+test("bids show a hedonic fair value column and an ask vs fair value scatter", () => {
+  assert.match(html, /data-bid-sort=\"fairValue\"/);
+  assert.match(html, /id=\"fairValueScatter\"/);
+  assert.match(html, /BidModel\.fitHedonicModel\(/);
+});
+
+test("charts plot the repeat-sales index next to the median close price", () => {
+  assert.match(html, /id=\"chartRepeatIndex\"/);
+  assert.match(html, /repeat_sales_index\.json/);
+  assert.match(html, /manifest\?\.repeatSalesIndex\?\.file/);
+});
+
+test("app loads the shared CSV parser used by the data scripts", () => {
+  assert.match(html, /<script src=\"scripts\/csv_parser\.js\"><\/script>/);
+  assert.match(html, /CsvParser\.parseCsvText\(/);
+});
+
+test("app normalizes dataset rows with the module the backtest script uses", () => {
+  assert.match(html, /<script src=\"scripts\/row_normalize\.js\"><\/script>/);
+  assert.match(html, /RowNormalize\.rowsFromCsvRecords\(/);
+  assert.match(html, /state\.rows\.map\(RowNormalize\.normalizeRow\)/);
+  assert.doesNotMatch(html, /function normalizeRow\(/);
+});
+
+test("equity tab uses the shared ratio study module", () => {
+  assert.match(html, /<script src=\"scripts\/equity_study\.js\"><\/script>/);
+  assert.match(html, /EquityStudy\.buildEquityStudySample\(/);
+});
+
+test("appeal finder uses the shared appeal comps module", () => {
+  assert.match(html, /<script src=\"scripts\/appeal_comps\.js\"><\/script>/);
+  assert.match(html, /AppealComps\.computeAppealEstimate\(/);
+});
+
+test("price cuts tab uses the shared price cut module", () => {
+  assert.match(html, /<script src=\"scripts\/price_cuts\.js\"><\/script>/);
+  assert.match(html, /PriceCuts\.rankCutListings\(/);
+});
+
+test("bids leverage column uses the shared negotiation leverage module", () => {
+  assert.match(html, /<script src=\"scripts\/negotiation_leverage\.js\"><\/script>/);
+  assert.match(html, /NegotiationLeverage\.computeNegotiationLeverage\(/);
+});
+
+test("app loads the shared bid model and exposes the backtest panel", () => {
+  assert.match(html, /<script src=\"scripts\/bid_model\.js\"><\/script>/);
+  assert.match(html, /BidModel\.scoreBid\(/);
+  assert.match(html, /id=\"bidBacktestRun\"/);
+  assert.match(html, /id=\"bidBacktestRows\"/);
+});
+
+test("bid confidence loads the offline calibration instead of refitting on render", () => {
+  assert.match(html, /bid_calibration\.json/);
+  assert.match(html, /BidModel\.bidStrategyFingerprint\(/);
+  assert.equal((html.match(/BidModel\.backtestBidModel\(/g) || []).length, 1);
+});
+
+test("bids expose a strategy editor with saved-strategy import and export", () => {
+  ["bidStrategyToggle", "bidStrategyEditSource", "bidStrategySave", "bidStrategyExport", "bidStrategyImport"].forEach((id) => {
+    assert.match(html, new RegExp(`id=\\"${id}\\"`));
+  });
+  assert.match(html, /BidModel\.importBidStrategies\(/);
+});
+
 test("records filters expose MLS special-sale control and coverage cue", () => {
   assert.match(html, /id=\"fSpecialSale\"/);
   assert.match(html, /MLS-only extras are neighborhood-scoped/i);
 });
 
+test("relist and back-on-market signals have a filter and badges", () => {
+  assert.match(html, /id=\"fMarketEvent\"/);
+  assert.match(html, /hot-pill bom/);
+  assert.match(html, /hot-pill relist/);
+});
+
 test("bids table headers expose sortable controls", () => {
   [
     "address",
@@ -57,11 +135,17 @@ test("bids table headers expose sortable controls", () => {
     "suggestedBid",
     "confidence",
     "compCount",
+    "leverage",
   ].forEach((key) => {
     assert.match(html, new RegExp(`data-bid-sort=\\\"${key}\\\"`));
   });
 });
 
+test("bids expose a below-ask opportunity filter with a chip", () => {
+  assert.match(html, /id=\"bidBelowAskOnly\"/);
+  assert.match(html, /data-clear-bid-below-ask/);
+});
+
 test("data tab exposes refresh metadata placeholders", () => {
   [
     "dataDatasetName",
@@ -70,6 +154,10 @@ test("data tab exposes refresh metadata placeholders", () => {
     "dataValidationTime",
     "dataOutputRows",
     "dataRealtorFileCount",
+    "joinAuditLoad",
+    "joinAuditReasonRows",
+    "joinAuditWhatIfRows",
+    "joinAuditNearMissRows",
   ].forEach((id) => {
     assert.match(html, new RegExp(`id=\\"${id}\\"`));
   });
@@ -0,0 +1,76 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { backOnMarketRow, detectMarketEvents } = require("../scripts/market_events.js");
+const { dedupeRealtorRows } = require("../scripts/build_mls_enriched_dataset.js");
+
+function mlsRow(overrides) {
+  return {
+    uid: overrides.listingNumber,
+    status: "Active",
+    isClosed: false,
+    apn: "0425049123",
+    listingDate: "2026-02-01",
+    pendingDate: "",
+    contractualDate: "",
+    sellingDate: "",
+    listingPrice: 1200000,
+    sellingPrice: 0,
+    originalPrice: 1200000,
+    domRaw: "10",
+    cdomRaw: "10",
+    dom: 10,
+    cdom: 10,
+    ...overrides,
+  };
+}
+
+test("an Active row with more DOM than the pending row wins dedupe as back on market", () => {
+  const pending = mlsRow({ uid: "pending", listingNumber: "501", status: "Pending", pendingDate: "2026-02-12", contractualDate: "2026-02-12", listingPrice: 1195000 });
+  const active = mlsRow({ uid: "active", listingNumber: "501", domRaw: "19", cdomRaw: "19", dom: 19, cdom: 19, listingPrice: 1150000 });
+  assert.equal(backOnMarketRow([pending, active]).row, active);
+  assert.equal(backOnMarketRow([pending, { ...active, dom: 8, domRaw: "8" }]), null);
+  assert.equal(backOnMarketRow([{ ...pending, status: "Sold", isClosed: true }, active]), null);
+
+  const [merged] = dedupeRealtorRows([pending, active]).rows;
+  assert.equal(merged.status, "Active");
+  assert.equal(merged.listingPrice, 1150000);
+  assert.equal(merged.pendingDate, "");
+  assert.deepEqual(merged.backOnMarketInExports, { pendingListPrice: 1195000 });
+
+  detectMarketEvents([merged]);
+  assert.equal(merged.isBackOnMarket, true);
+  assert.equal(merged.priorListPrice, 1195000);
+  assert.equal(merged.marketEventReason, "pending_then_active_export");
+});
+
+test("detectMarketEvents reads snapshots, CDOM gaps and earlier unsold listings on the APN", () => {
+  const current = mlsRow({ listingNumber: "777", listingDate: "2026-04-10", listingPrice: 1099000, domRaw: "5", dom: 5, cdomRaw: "48", cdom: 48 });
+  const resale = mlsRow({ listingNumber: "888", apn: "9999999999", listingDate: "2026-04-01" });
+  const snapshots = [
+    { snapshotDate: "2026-02-20", rows: [
+      { mlsListingNumber: "640", mlsStatus: "Active", mlsListingPrice: "1195000", mlsListDate: "2026-01-05", apn: "0425049123" },
+      { mlsListingNumber: "880", mlsStatus: "Sold", mlsListingPrice: "900000", mlsListDate: "2025-11-01", mlsSellingDate: "2026-01-15", apn: "9999999999" },
+    ] },
+    { snapshotDate: "2026-03-01", rows: [{ mlsListingNumber: "640", mlsStatus: "Pending", mlsListingPrice: "1150000", mlsListDate: "2026-01-05", apn: "0425049123" }] },
+    { snapshotDate: "2026-03-08", rows: [{ mlsListingNumber: "640", mlsStatus: "Active", mlsListingPrice: "1150000", mlsListDate: "2026-01-05", apn: "0425049123" }] },
+  ];
+  const counts = detectMarketEvents([current, resale], snapshots);
+
+  assert.deepEqual(counts, { backOnMarket: 0, relisted: 1 });
+  assert.equal(current.isBackOnMarket, false);
+  assert.equal(current.relistCount, 1);
+  assert.equal(current.priorListPrice, 1150000);
+  assert.equal(current.marketEventReason, "cdom_gt_dom|prior_listing_on_apn");
+  // The earlier listing on the other APN closed, so this is a resale, not a relist.
+  assert.equal(resale.relistCount, 0);
+  assert.equal(resale.priorListPrice, 0);
+
+  const withdrawn = mlsRow({ listingNumber: "640", listingDate: "2026-01-05", listingPrice: 1150000 });
+  detectMarketEvents([withdrawn], snapshots);
+  assert.equal(withdrawn.isBackOnMarket, true);
+  assert.equal(withdrawn.marketEventReason, "pending_then_active_snapshot");
+  assert.equal(withdrawn.priorListPrice, 1150000);
+});
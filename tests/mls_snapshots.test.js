@@ -0,0 +1,95 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  archiveMlsSnapshot,
+  buildStatusHistory,
+  readSnapshots,
+} = require("../scripts/mls_snapshots.js");
+const { listingSnapshotRows } = require("../scripts/build_mls_enriched_dataset.js");
+const { parseCsvText } = require("../scripts/csv_parser.js");
+
+function listing(listingNumber, status, listingPrice, extra = {}) {
+  return {
+    listingNumber,
+    status,
+    listingPrice,
+    originalPrice: listingPrice,
+    sellingPrice: 0,
+    domRaw: "",
+    cdomRaw: "",
+    listingDate: "2026-03-01",
+    pendingDate: "",
+    sellingDate: "",
+    apn: "1234567890",
+    mlsAddress: "1520 NE 65th St, Seattle WA 98115",
+    region: "NE Seattle",
+    ...extra,
+  };
+}
+
+test("listingSnapshotRows keeps one row per listing number", () => {
+  const rows = listingSnapshotRows([
+    listing("101", "Pending", 950000, { domRaw: "6" }),
+    listing("101", "Active", 950000),
+    listing("", "Active", 800000),
+    listing("102", "Active", 1100000),
+  ]);
+  assert.deepEqual(rows.map((r) => [r.mlsListingNumber, r.mlsStatus, r.mlsDOM]), [["101", "Pending", "6"], ["102", "Active", ""]]);
+  assert.equal(rows[0].mlsListingPrice, 950000);
+  assert.equal(rows[0].mlsSellingPrice, "");
+});
+
+test("archiveMlsSnapshot keeps dated snapshots and derives status transitions", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mls-snapshots-"));
+  const historyFile = path.join(dir, "history.csv");
+  const options = { dir: path.join(dir, "snapshots"), historyFile };
+  try {
+    archiveMlsSnapshot(listingSnapshotRows([
+      listing("101", "Active", 950000, { domRaw: "2" }),
+      listing("102", "Active", 1100000),
+    ]), "2026-03-02", options);
+    archiveMlsSnapshot(listingSnapshotRows([listing("101", "Active", 925000, { domRaw: "9" })]), "2026-03-09", options);
+    // Same-day rerun replaces the 03-16 snapshot instead of adding a second one.
+    archiveMlsSnapshot(listingSnapshotRows([listing("101", "Active", 925000)]), "2026-03-16", options);
+    const result = archiveMlsSnapshot(listingSnapshotRows([
+      listing("101", "Pending", 925000, { domRaw: "14", pendingDate: "2026-03-15" }),
+    ]), "2026-03-16", options);
+
+    assert.equal(result.snapshotCount, 3);
+    assert.equal(result.historyRows, 4);
+    assert.equal(result.statusChanges, 1);
+    assert.deepEqual(readSnapshots(options.dir).map((s) => s.snapshotDate), ["2026-03-02", "2026-03-09", "2026-03-16"]);
+
+    const [header, ...records] = parseCsvText(fs.readFileSync(historyFile, "utf8"));
+    const history = records.map((cols) => Object.fromEntries(header.map((h, i) => [h, cols[i]])));
+    assert.deepEqual(
+      history.filter((h) => h.mlsListingNumber === "101").map((h) => [h.snapshotDate, h.mlsStatus, h.mlsDOM, h.previousStatus, h.statusChanged, h.listPriceChange]),
+      [
+        ["2026-03-02", "Active", "2", "", "false", ""],
+        ["2026-03-09", "Active", "9", "Active", "false", "-25000"],
+        ["2026-03-16", "Pending", "14", "Active", "true", ""],
+      ],
+    );
+    // 102 dropped out of later exports; that is not recorded as a transition.
+    assert.deepEqual(history.filter((h) => h.mlsListingNumber === "102").map((h) => h.statusChanged), ["false"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("buildStatusHistory orders snapshots by date regardless of input order", () => {
+  const history = buildStatusHistory([
+    { snapshotDate: "2026-04-01", rows: [{ mlsListingNumber: "7", mlsStatus: "Sold", mlsSellingPrice: "1010000" }] },
+    { snapshotDate: "2026-03-20", rows: [{ mlsListingNumber: "7", mlsStatus: "Pending" }] },
+  ]);
+  assert.deepEqual(history.map((h) => [h.snapshotDate, h.previousStatus, h.statusChanged]), [
+    ["2026-03-20", "", "false"],
+    ["2026-04-01", "Pending", "true"],
+  ]);
+});
@@ -0,0 +1,85 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  LEVERAGE_WEIGHTS,
+  buildDomBaselines,
+  computeNegotiationLeverage,
+  conditionLeveragePoints,
+  negotiationBreakdownText,
+} = require("../scripts/negotiation_leverage.js");
+
+function soldComp(neighborhoodLabel, dom) {
+  return { neighborhoodLabel, hasMlsCdomValue: true, mlsCDOM: dom };
+}
+
+const compPool = [
+  ...[10, 12, 14, 16, 18].map((dom) => soldComp("Ballard", dom)),
+  soldComp("Fremont", 30),
+  soldComp("Fremont", 40),
+  { neighborhoodLabel: "Fremont" },
+];
+
+function active(overrides) {
+  return {
+    neighborhoodLabel: "Ballard",
+    hasMlsCdomValue: true,
+    mlsCDOM: 14,
+    originalListPrice: 1000000,
+    pendingListPrice: 1000000,
+    mlsBuildingCondition: "",
+    ...overrides,
+  };
+}
+
+test("buildDomBaselines keeps neighborhood medians only with enough sold comps", () => {
+  const baselines = buildDomBaselines(compPool);
+  assert.equal(baselines.city, 16);
+  assert.deepEqual(baselines.neighborhoods, { Ballard: 14 });
+  assert.deepEqual(buildDomBaselines([]), { city: null, neighborhoods: {} });
+});
+
+test("computeNegotiationLeverage adds market time, price cut and listing signals", () => {
+  const baselines = buildDomBaselines(compPool);
+  const ballard = computeNegotiationLeverage(active({
+    mlsCDOM: 42,
+    pendingListPrice: 950000,
+    isBackOnMarket: true,
+    mlsBuildingCondition: "Fixer",
+  }), baselines);
+  assert.deepEqual(ballard.negotiationParts.map((p) => [p.key, p.points]), [
+    ["marketTime", 35],
+    ["priceCut", 13],
+    ["backOnMarket", 12],
+    ["condition", 10],
+  ]);
+  assert.equal(ballard.negotiationScore, 70);
+  assert.equal(ballard.negotiationParts[0].label, "DOM 42d vs nbhd median 14d");
+  assert.equal(ballard.negotiationParts[1].label, "Cut 5.0% off original");
+
+  const fremont = computeNegotiationLeverage(active({
+    neighborhoodLabel: "Fremont",
+    mlsCDOM: 32,
+    isBankOwned: true,
+    hasThirdPartyApprovalRequirement: true,
+    mlsBuildingCondition: "Average",
+  }), baselines);
+  assert.deepEqual(fremont.negotiationParts.map((p) => [p.key, p.points]), [
+    ["marketTime", 18],
+    ["bankOwned", LEVERAGE_WEIGHTS.bankOwned],
+    ["condition", 4],
+  ]);
+  assert.equal(fremont.negotiationParts[0].label, "DOM 32d vs Seattle median 16d");
+  assert.equal(fremont.negotiationScore, 32);
+});
+
+test("fast-moving listings without signals score zero", () => {
+  const quiet = computeNegotiationLeverage(active({ mlsCDOM: 7 }), buildDomBaselines(compPool));
+  assert.equal(quiet.negotiationScore, 0);
+  assert.deepEqual(quiet.negotiationParts, []);
+  assert.equal(negotiationBreakdownText(quiet), "No leverage signals");
+  assert.equal(conditionLeveragePoints("Needs Work"), LEVERAGE_WEIGHTS.condition);
+  assert.equal(conditionLeveragePoints("Excellent"), 0);
+});
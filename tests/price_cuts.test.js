@@ -0,0 +1,90 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  hasPriceCut,
+  priceCutNeighborhoods,
+  priceCutRows,
+  rankCutListings,
+  summarizeCutSales,
+  summarizeCutSalesByNeighborhood,
+} = require("../scripts/price_cuts.js");
+
+function near(actual, expected, tolerance = 1e-4) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} vs ${expected}`);
+}
+
+function listing(address, neighborhoodLabel, originalListPrice, pendingListPrice) {
+  return { address, neighborhoodLabel, originalListPrice, pendingListPrice };
+}
+
+function cutSale(neighborhoodLabel, saleToOriginal) {
+  return { neighborhoodLabel, originalListPrice: 1000000, pendingListPrice: 950000, closePrice: 1000000 * saleToOriginal };
+}
+
+const cutSales = [
+  ...[0.9, 0.92, 0.94, 0.96, 0.98].map((ratio) => cutSale("Ballard", ratio)),
+  cutSale("Fremont", 0.99),
+  cutSale("Fremont", 1.0),
+];
+
+const activeRows = [
+  listing("1 Ballard Ave NW", "Ballard", 1000000, 950000),
+  listing("2 Ballard Ave NW", "Ballard", 800000, 800000),
+  listing("3 Fremont Ave N", "Fremont", 1200000, 1080000),
+  listing("4 Queen Anne Ave N", "Queen Anne", 500000, 490000),
+];
+
+test("hasPriceCut requires an ask below a known original list", () => {
+  assert.equal(hasPriceCut(listing("a", "Ballard", 1000000, 950000)), true);
+  assert.equal(hasPriceCut(listing("a", "Ballard", 1000000, 1000000)), false);
+  assert.equal(hasPriceCut(listing("a", "Ballard", 0, 950000)), false);
+  assert.equal(hasPriceCut(listing("a", "Ballard", 1000000, 0)), false);
+});
+
+test("summarizeCutSales reports the median close/original ratio and the share closing below ask", () => {
+  const city = summarizeCutSales(cutSales);
+  assert.equal(city.count, 7);
+  near(city.saleToOriginal, 0.96);
+  near(city.belowAskShare, 3 / 7);
+
+  const byNeighborhood = summarizeCutSalesByNeighborhood(cutSales);
+  near(byNeighborhood.Ballard.saleToOriginal, 0.94);
+  near(byNeighborhood.Ballard.belowAskShare, 0.6);
+  assert.equal(byNeighborhood.Fremont.count, 2);
+  assert.deepEqual(summarizeCutSales([]), { count: 0, saleToOriginal: 0, belowAskShare: 0 });
+});
+
+test("priceCutNeighborhoods ranks neighborhoods by cut frequency", () => {
+  const cutRows = priceCutRows(activeRows, (r) => (r.address.startsWith("1 ") ? 30 : null));
+  assert.deepEqual(cutRows.map((r) => r.address), ["1 Ballard Ave NW", "3 Fremont Ave N", "4 Queen Anne Ave N"]);
+  assert.equal(cutRows[0].cutAmount, 50000);
+  near(cutRows[0].cutPct, 0.05);
+  assert.equal(cutRows[0].daysSinceList, 30);
+
+  const neighborhoods = priceCutNeighborhoods(activeRows, cutRows, summarizeCutSalesByNeighborhood(cutSales));
+  assert.deepEqual(neighborhoods.map((g) => [g.name, g.activeCount, g.cutCount]), [
+    ["Fremont", 1, 1],
+    ["Queen Anne", 1, 1],
+    ["Ballard", 2, 1],
+  ]);
+  near(neighborhoods[2].frequency, 0.5);
+  near(neighborhoods[0].medianCutPct, 0.1);
+  assert.equal(neighborhoods[1].sales.count, 0);
+});
+
+test("rankCutListings prices from the neighborhood ratio with enough cut sales, else Seattle", () => {
+  const cutRows = priceCutRows(activeRows);
+  const ranked = rankCutListings(cutRows, summarizeCutSales(cutSales), summarizeCutSalesByNeighborhood(cutSales));
+  assert.deepEqual(ranked.map((r) => [r.address, r.basisLabel, r.expectedClose]), [
+    ["4 Queen Anne Ave N", "Seattle", 480000],
+    ["1 Ballard Ave NW", "Ballard", 940000],
+    ["3 Fremont Ave N", "Seattle", 1152000],
+  ]);
+  near(ranked[1].expectedVsAsk, -10000 / 950000);
+
+  const noSales = rankCutListings(cutRows, summarizeCutSales([]), {});
+  assert.ok(noSales.every((r) => r.expectedClose === 0 && r.expectedVsAsk === null));
+});
@@ -0,0 +1,92 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  applyRealtorProfile,
+  detectRealtorProfile,
+  loadRealtorProfiles,
+  parseDateWithFormat,
+  profileSourceColumns,
+  splitStreetAddress,
+} = require("../scripts/realtor_export_profiles.js");
+const { readRealtorRows } = require("../scripts/build_mls_enriched_dataset.js");
+const { parseCsvText } = require("../scripts/csv_parser.js");
+
+const config = loadRealtorProfiles();
+const byId = (id) => config.profiles.find((p) => p.id === id);
+
+const REDFIN_CSV = [
+  "SALE TYPE,SOLD DATE,PROPERTY TYPE,ADDRESS,CITY,STATE OR PROVINCE,ZIP OR POSTAL CODE,PRICE,BEDS,BATHS,LOCATION,SQUARE FEET,YEAR BUILT,DAYS ON MARKET,STATUS,MLS#",
+  "PAST SALE,March-14-2025,Townhouse,1520 NE 65th St #B,Seattle,WA,98115,1250000,3,2.5,Ravenna,1480,2019,6,Sold,2301144",
+  "MLS Listing,,Single Family Residential,4410 Fremont Ave N,Seattle,WA,98103,1195000,3,2,Fremont,1720,1926,3,Active,2345678",
+].join("\n");
+
+test("profiles file is versioned with unique ids and headers are auto-detected", () => {
+  assert.match(config.version, /^\d{4}-\d{2}-\d{2}$/);
+  assert.equal(new Set(config.profiles.map((p) => p.id)).size, config.profiles.length);
+
+  const nwmls = parseCsvText("Sold And Stats (9)\nListing Number,Status,Selling Date\n101,Sold,3/1/2026");
+  const detected = detectRealtorProfile(nwmls, config.profiles);
+  assert.equal(detected.profile.id, "nwmls");
+  assert.equal(detected.headerIndex, 1);
+  assert.equal(detected.detection, "auto");
+  assert.equal(detectRealtorProfile(parseCsvText(REDFIN_CSV), config.profiles).profile.id, "redfin");
+  assert.equal(detectRealtorProfile(parseCsvText("a,b\n1,2"), config.profiles).detection, "none");
+  assert.equal(detectRealtorProfile(parseCsvText(REDFIN_CSV), config.profiles, "zillow").detection, "override");
+  assert.throws(() => detectRealtorProfile([], config.profiles, "nope"), /Unknown realtor export profile/);
+});
+
+test("date formats, address splitting and status-gated columns map onto NWMLS columns", () => {
+  assert.equal(parseDateWithFormat("March-14-2025", "MMMM-D-YYYY"), "2025-03-14");
+  assert.equal(parseDateWithFormat("Sep-3-2025", "MMMM-D-YYYY"), "2025-09-03");
+  assert.equal(parseDateWithFormat("3/14/2025", "MMMM-D-YYYY"), "3/14/2025");
+  assert.equal(parseDateWithFormat("14.03.2025 00:00", "DD.MM.YYYY"), "2025-03-14");
+  assert.equal(parseDateWithFormat("1741910400000", "epochMillis"), "2025-03-14");
+  assert.deepEqual(splitStreetAddress("1520 NE 65th St Unit 2"), { "Street Number": "1520", "Street Name": "NE 65th St", Unit: "2" });
+
+  const [headers, sold, active] = parseCsvText(REDFIN_CSV);
+  const toRow = (cols) => Object.fromEntries(headers.map((h, i) => [h, cols[i]]));
+  const redfin = byId("redfin");
+  assert.ok(profileSourceColumns(redfin).includes("ADDRESS"));
+  const soldRow = applyRealtorProfile(toRow(sold), redfin);
+  assert.equal(soldRow["Listing Number"], "2301144");
+  assert.equal(soldRow["Selling Date"], "2025-03-14");
+  assert.equal(soldRow["Selling Price"], "1250000");
+  assert.equal(soldRow["Listing Price"], undefined);
+  assert.equal(soldRow["Street Number"], "1520");
+  assert.equal(soldRow.Unit, "B");
+  const activeRow = applyRealtorProfile(toRow(active), redfin);
+  assert.equal(activeRow["Listing Price"], "1195000");
+  assert.equal(activeRow["Selling Price"], undefined);
+
+  const zillowRow = applyRealtorProfile({ zpid: "48750001", homeStatus: "RECENTLY_SOLD", price: "990000" }, byId("zillow"));
+  assert.equal(zillowRow.Status, "Sold");
+  assert.equal(zillowRow["Selling Price"], "990000");
+});
+
+test("readRealtorRows reads a Redfin export and records the detected profile", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "realtor-profiles-"));
+  const full = path.join(dir, "Ravenna Redfin.csv");
+  fs.writeFileSync(full, REDFIN_CSV);
+  const entry = { file: "Ravenna Redfin.csv", region: "Ravenna", full };
+  const rows = readRealtorRows([entry], config);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  assert.equal(entry.profile, "redfin");
+  assert.equal(entry.detection, "auto");
+  assert.equal(rows.length, 2);
+  assert.equal(rows[0].status, "Sold");
+  assert.equal(rows[0].isClosed, true);
+  assert.equal(rows[0].sellingDate, "2025-03-14");
+  assert.equal(rows[0].sellingPrice, 1250000);
+  assert.equal(rows[0].zip, "98115");
+  assert.equal(rows[0].addressKeyNoUnit, "1520 NE 65TH ST|98115");
+  assert.equal(rows[1].isClosed, false);
+  assert.equal(rows[1].listingPrice, 1195000);
+  assert.equal(rows[1].sellingPrice, 0);
+});
@@ -0,0 +1,101 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  labelNeighborhood,
+  labelType,
+  normalizeRow,
+  rowsFromCsvRecords,
+} = require("../scripts/row_normalize.js");
+
+function csvRows(records) {
+  const header = Object.keys(records[0]);
+  return rowsFromCsvRecords([header, ...records.map((r) => header.map((h) => r[h]))]);
+}
+
+function mlsRecord(overrides) {
+  return {
+    id: "1",
+    address: "1 Main St",
+    dataMode: "MLS_ENRICHED",
+    neighborhood: "",
+    zip: "98107",
+    type: "Single Family",
+    saleDate: "2026-03-01",
+    mlsListDate: "2026-02-01",
+    closePrice: "1000000",
+    mlsListingPrice: "1000000",
+    mlsDOM: "7",
+    mlsStyleCode: "",
+    yearBuilt: "1925",
+    saleQualification: "",
+    sqft: "1500",
+    sqFtLot: "5000",
+    lat: "",
+    lon: "",
+    ...overrides,
+  };
+}
+
+test("rowsFromCsvRecords and normalizeRow read a dataset row the way every tab sees it", () => {
+  const [row] = csvRows([mlsRecord({
+    neighborhood: "NE Seattle",
+    zip: "98115",
+    type: "SINGLE FAMILY(RES USE/ZONE)",
+    closePrice: "1050000",
+    mlsDOM: "",
+    saleQualification: "excluded|quit_claim",
+    sqft: "1,480",
+    lat: "47.68",
+    lon: "0",
+  })]).map(normalizeRow);
+  assert.equal(row.neighborhoodLabel, "Ravenna / Wedgwood");
+  assert.equal(row.typeLabel, "Single Family");
+  assert.equal(row.listDate, "2026-02-01");
+  assert.equal(row.effectiveDate, "2026-03-01");
+  assert.equal(row.hasActualClose, true);
+  assert.equal(row.saleToList, 1.05);
+  assert.equal(row.daysToPending, null);
+  assert.equal(row.hasMlsDomValue, false);
+  assert.equal(row.isQualifiedSale, false);
+  assert.equal(row.saleQualificationReason, "quit_claim");
+  assert.equal(row.sqft, 1480);
+  assert.equal(row.lotSize, 5000);
+  assert.equal(row.lat, 47.68);
+  assert.equal(row.lon, null);
+
+  assert.throws(() => rowsFromCsvRecords([["id", "address"], ["1", "1 Main St"]]), /Missing required columns: type, closePrice/);
+  assert.deepEqual(rowsFromCsvRecords([["id", "address", "type", "closePrice"]]), []);
+});
+
+test("presold new builds need a zero DOM, a sale at list and a new-build signal", () => {
+  const rows = csvRows([
+    mlsRecord({ mlsDOM: "0", yearBuilt: "2024" }),
+    mlsRecord({ mlsDOM: "0", mlsStyleCode: "Townhouse" }),
+    mlsRecord({ mlsDOM: "", yearBuilt: "2024" }),
+    mlsRecord({ mlsDOM: "0", yearBuilt: "2024", closePrice: "1010000" }),
+    mlsRecord({ mlsDOM: "0", yearBuilt: "1925" }),
+  ]).map(normalizeRow);
+  assert.deepEqual(rows.map((r) => r.isLikelyPresoldNewBuild), [true, true, false, false, false]);
+  assert.equal(rows[0].presoldRuleReason, "dom_le_0|sale_eq_list|year_built_gte_2023");
+  assert.equal(rows[1].presoldRuleReason, "dom_le_0|sale_eq_list|style_new_build_signal");
+  assert.equal(rows[2].presoldRuleReason, "");
+
+  const [proxy] = csvRows([mlsRecord({ dataMode: "PUBLIC_PROXY", mlsDOM: "0", yearBuilt: "2024" })]).map(normalizeRow);
+  assert.equal(proxy.pendingListPrice, 0);
+  assert.equal(proxy.isLikelyPresoldNewBuild, false);
+});
+
+test("labels prefer named neighborhoods and readable types, falling back to ZIP and type code", () => {
+  assert.equal(labelNeighborhood("Green Lake", "98103"), "Green Lake");
+  assert.equal(labelNeighborhood("QA/Magnolia", "98199-1234"), "Magnolia");
+  assert.equal(labelNeighborhood("", "98107"), "Ballard");
+  assert.equal(labelNeighborhood("", "99999"), "Seattle (Other)");
+  assert.equal(labelType("Condominium(Residential)", ""), "Condo");
+  assert.equal(labelType("TOWNHOUSE PLAT", ""), "Townhouse Plat");
+  assert.equal(labelType("", "14"), "Condo");
+  assert.equal(labelType("", "77"), "Type 77");
+  assert.equal(labelType("", ""), "Unknown");
+});
@@ -0,0 +1,45 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  deriveZoningCapacity,
+  loadZoningRules,
+  matchZoningRule,
+  normalizeZoningCode,
+} = require("../scripts/zoning_rules.js");
+
+const rules = loadZoningRules();
+
+test("zoning rules file is versioned and every pattern compiles", () => {
+  assert.match(rules.version, /^\d{4}-\d{2}-\d{2}$/);
+  assert.ok(rules.zones.length > 0);
+  rules.zones.forEach((zone) => assert.ok(zone.regex instanceof RegExp, zone.zone));
+});
+
+test("county zoning codes normalize and match legacy single-family names", () => {
+  assert.equal(normalizeZoningCode(" lr2 (M1) "), "LR2");
+  assert.equal(matchZoningRule("SF 5000", rules).zone, "NR3");
+  assert.equal(matchZoningRule("NR1", rules).zone, "NR1");
+  assert.equal(matchZoningRule("NC2P-55 (M)", rules).zone, "COMMERCIAL_MIXED");
+  assert.equal(matchZoningRule("", rules), null);
+  assert.equal(matchZoningRule("UNKNOWN-9", rules), null);
+});
+
+test("deriveZoningCapacity computes unit caps and DADU eligibility", () => {
+  assert.deepEqual(deriveZoningCapacity("NR3", 5000, rules), {
+    zoningRuleZone: "NR3",
+    maxUnitsAllowed: 4,
+    daduEligible: "true",
+  });
+  assert.equal(deriveZoningCapacity("NR3", 7500, rules).maxUnitsAllowed, 6);
+  assert.deepEqual(deriveZoningCapacity("NR2", 3000, rules), {
+    zoningRuleZone: "NR2",
+    maxUnitsAllowed: 2,
+    daduEligible: "false",
+  });
+  assert.equal(deriveZoningCapacity("LR2 (M)", 4000, rules).maxUnitsAllowed, "");
+  assert.equal(deriveZoningCapacity("IG1 U/85", 20000, rules).maxUnitsAllowed, 0);
+  assert.deepEqual(deriveZoningCapacity("XYZ", 5000, rules), { zoningRuleZone: "", maxUnitsAllowed: "", daduEligible: "" });
+});